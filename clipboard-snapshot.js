@@ -0,0 +1,97 @@
+// clipboard-snapshot.js
+const { clipboard } = require('electron');
+
+// Formats clipboard.write() can put back together in one go
+const STANDARD_FORMATS = ['text/plain', 'text/html', 'text/rtf', 'image/png'];
+
+// Formats that carry copied files
+const FILE_FORMATS = [
+  'text/uri-list',
+  'x-special/gnome-copied-files',
+  'FileNameW',
+  'FileName',
+  'public.file-url',
+  'NSFilenamesPboardType'
+];
+
+class ClipboardSnapshot {
+  /**
+   * Read every format currently on the clipboard
+   */
+  constructor() {
+    this.formats = clipboard.availableFormats();
+    this.text = clipboard.readText();
+    this.html = clipboard.readHTML();
+    this.rtf = clipboard.readRTF();
+    this.bookmark = this.readBookmark();
+
+    const image = clipboard.readImage();
+    this.image = image.isEmpty() ? null : image;
+
+    this.buffers = this.formats
+      .filter(format => !STANDARD_FORMATS.includes(format))
+      .map(format => {
+        try {
+          return { format, data: clipboard.readBuffer(format) };
+        } catch (error) {
+          console.error(`Error reading clipboard format ${format}:`, error);
+          return null;
+        }
+      })
+      .filter(buffer => buffer && buffer.data.length > 0);
+  }
+
+  // Bookmarks only exist on macOS and Windows
+  readBookmark() {
+    if (process.platform === 'linux') return null;
+
+    const bookmark = clipboard.readBookmark();
+    return bookmark.url ? bookmark : null;
+  }
+
+  isEmpty() {
+    return this.formats.length === 0;
+  }
+
+  /**
+   * Put the snapshot back on the clipboard
+   */
+  restore() {
+    if (this.isEmpty()) {
+      clipboard.clear();
+      return;
+    }
+
+    const data = {};
+    if (this.text) data.text = this.text;
+    if (this.html) data.html = this.html;
+    if (this.rtf) data.rtf = this.rtf;
+    if (this.image) data.image = this.image;
+    if (this.bookmark) {
+      data.bookmark = this.bookmark.title;
+      data.text = data.text || this.bookmark.url;
+    }
+
+    const files = FILE_FORMATS
+      .map(format => this.buffers.find(buffer => buffer.format === format))
+      .find(Boolean);
+    const hasStandardData = Object.keys(data).length > 0;
+
+    if (!files && hasStandardData) {
+      clipboard.write(data);
+      return;
+    }
+
+    // Electron can't add raw formats to clipboard.write(), and every writeBuffer()
+    // call starts a fresh clipboard, so only one raw format survives. A file
+    // manager copy keeps its file list, text it offered alongside (usually the
+    // paths) can't come back with it. Other app specific formats are lost
+    // whenever there is something more useful to restore.
+    const raw = files || this.buffers[0];
+    if (raw) {
+      clipboard.writeBuffer(raw.format, raw.data);
+    }
+  }
+}
+
+module.exports = ClipboardSnapshot;
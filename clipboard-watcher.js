@@ -0,0 +1,352 @@
+// clipboard-watcher.js
+const { BrowserWindow, clipboard, screen } = require('electron');
+const path = require('path');
+const Store = require('electron-store');
+
+const isMac = process.platform === 'darwin';
+const isLinux = process.platform === 'linux';
+
+// Electron has no clipboard change event, the clipboard is polled instead
+const POLL_INTERVAL = 1000;
+// New text has to stay on the clipboard this long before it is offered, so
+// apps copying in several steps and our own selection capture are skipped
+const DEBOUNCE_TIME = 1500;
+const DEFAULT_MIN_LENGTH = 3;
+const DEFAULT_MAX_LENGTH = 2000;
+const TOAST_WIDTH = 380;
+const TOAST_HEIGHT = 150;
+const TOAST_MARGIN = 16;
+const MAX_TOAST_TEMPLATES = 4;
+
+// Formats password managers add so clipboard tools leave their copies alone
+const CONCEALED_FORMATS = [
+  'ExcludeClipboardContentFromMonitorProcessing',
+  'org.nspasteboard.ConcealedType',
+  'org.nspasteboard.TransientType',
+  'org.nspasteboard.AutoGeneratedType',
+  'x-kde-passwordManagerHint'
+];
+
+// Text that looks like a secret rather than something to ask about
+const SECRET_PATTERNS = [
+  /^\d{4,8}$/, // one-time codes
+  /^eyJ[\w-]+\.[\w-]+\.[\w-]+$/, // JWTs
+  /^(sk|pk|rk)[-_][\w-]{16,}$/, // API keys
+  /^(ghp_|gho_|ghs_|github_pat_|xox[abpr]-|AKIA)[\w-]{10,}$/,
+  /-----BEGIN [A-Z ]*PRIVATE KEY-----/,
+  /^[A-Fa-f0-9]{32,}$/, // hex keys and hashes
+  /^[A-Za-z0-9+/=_-]{32,}$/ // long tokens
+];
+
+const DEFAULT_IGNORED_APPS = [
+  '1Password',
+  'Bitwarden',
+  'KeePassXC',
+  'KeePass',
+  'LastPass',
+  'Dashlane',
+  'Enpass',
+  'Keychain Access',
+  'Seahorse'
+];
+
+class ClipboardWatcher {
+  /**
+   * @param {Object} options
+   * @param {SearchTemplateEngine} options.searchTemplates - Prefixes offered in the toast
+   * @param {SelectionProvider} options.selectionProvider - Runs commands and tells
+   *   when a selection capture is using the clipboard
+   * @param {Function} options.onSearch - Called with (text, templateId) when a
+   *   prefix is picked in the toast
+   */
+  constructor({ searchTemplates, selectionProvider, onSearch }) {
+    this.searchTemplates = searchTemplates;
+    this.selectionProvider = selectionProvider;
+    this.onSearch = onSearch;
+    this.store = new Store();
+    this.timer = null;
+    this.lastText = null;
+    this.pending = null;
+    this.toastWindow = null;
+    this.toastText = null;
+  }
+
+  /**
+   * Suggestions are opt-in
+   */
+  isEnabled() {
+    return this.store.get('clipboardWatchEnabled', false);
+  }
+
+  setEnabled(enabled) {
+    this.store.set('clipboardWatchEnabled', enabled === true);
+    this.update();
+  }
+
+  isPaused() {
+    return this.store.get('clipboardWatchPaused', false);
+  }
+
+  setPaused(paused) {
+    this.store.set('clipboardWatchPaused', paused === true);
+    this.update();
+  }
+
+  /**
+   * @returns {{min: number, max: number}} Lengths of text that get a suggestion
+   */
+  getLengthLimits() {
+    return {
+      min: this.store.get('clipboardWatchMinLength', DEFAULT_MIN_LENGTH),
+      max: this.store.get('clipboardWatchMaxLength', DEFAULT_MAX_LENGTH)
+    };
+  }
+
+  setLengthLimits({ min, max }) {
+    const minLength = Math.max(parseInt(min, 10) || DEFAULT_MIN_LENGTH, 1);
+    const maxLength = Math.max(parseInt(max, 10) || DEFAULT_MAX_LENGTH, minLength);
+    this.store.set('clipboardWatchMinLength', minLength);
+    this.store.set('clipboardWatchMaxLength', maxLength);
+  }
+
+  /**
+   * Apps whose copies are never offered, matched against the name of the
+   * focused app. Only macOS and X11 can tell which app that is.
+   * @returns {string[]}
+   */
+  getIgnoredApps() {
+    return this.store.get('clipboardWatchIgnoredApps', DEFAULT_IGNORED_APPS);
+  }
+
+  setIgnoredApps(apps) {
+    if (!Array.isArray(apps)) return;
+    this.store.set('clipboardWatchIgnoredApps', apps.map(app => String(app).trim()).filter(Boolean));
+  }
+
+  /**
+   * Regular expressions of the user's own, copies matching one are not offered
+   * @returns {string[]}
+   */
+  getIgnorePatterns() {
+    return this.store.get('clipboardWatchIgnorePatterns', []);
+  }
+
+  setIgnorePatterns(patterns) {
+    if (!Array.isArray(patterns)) return;
+    this.store.set('clipboardWatchIgnorePatterns', patterns.map(pattern => String(pattern).trim()).filter(Boolean));
+  }
+
+  canDetectApps() {
+    return isMac || (isLinux && !this.selectionProvider.isWayland());
+  }
+
+  /**
+   * Start or stop polling to match the settings
+   */
+  update() {
+    if (this.isEnabled() && !this.isPaused()) {
+      this.start();
+    } else {
+      this.stop();
+      this.closeToast();
+    }
+  }
+
+  start() {
+    if (this.timer) return;
+
+    // Whatever is on the clipboard already is not new
+    this.lastText = clipboard.readText();
+    this.pending = null;
+    this.timer = setInterval(() => this.poll(), POLL_INTERVAL);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.pending = null;
+  }
+
+  poll() {
+    // Selection capture swaps the clipboard out and back, that is not a copy
+    if (this.selectionProvider.capturing) return;
+
+    const text = clipboard.readText();
+    if (text === this.lastText) {
+      this.pending = null;
+      return;
+    }
+
+    if (!this.pending || this.pending.text !== text) {
+      this.pending = { text, formats: clipboard.availableFormats(), since: Date.now() };
+      return;
+    }
+
+    if (Date.now() - this.pending.since < DEBOUNCE_TIME) return;
+
+    const copy = this.pending;
+    this.pending = null;
+    this.lastText = text;
+    this.consider(copy).catch(error => console.error('Error checking clipboard text:', error));
+  }
+
+  async consider({ text, formats }) {
+    const reason = this.getIgnoreReason(text.trim(), formats);
+    if (reason) {
+      console.log(`Clipboard text not offered: ${reason}`);
+      return;
+    }
+
+    const app = await this.getFocusedApp();
+    if (app && this.isIgnoredApp(app)) {
+      console.log(`Clipboard text not offered: copied in ${app}`);
+      return;
+    }
+
+    // The clipboard may have moved on while the focused app was looked up
+    if (clipboard.readText() !== text) return;
+
+    this.showToast(text.trim());
+  }
+
+  /**
+   * Why text copied with the given formats should not be offered
+   * @param {string} text
+   * @param {string[]} formats - Clipboard formats at the time of the copy
+   * @returns {string|null} Reason, null when it can be offered
+   */
+  getIgnoreReason(text, formats) {
+    const { min, max } = this.getLengthLimits();
+
+    if (text.length < min) return 'too short';
+    if (text.length > max) return 'too long';
+    if (formats.some(format => CONCEALED_FORMATS.includes(format))) return 'marked as concealed';
+
+    // Copies inside the app itself are already where they would be asked about
+    if (BrowserWindow.getFocusedWindow()) return 'copied in this app';
+
+    if (SECRET_PATTERNS.some(pattern => pattern.test(text))) return 'looks like a secret';
+    if (this.looksLikePassword(text)) return 'looks like a password';
+
+    const userPattern = this.getIgnorePatterns().find(pattern => {
+      try {
+        return new RegExp(pattern, 'i').test(text);
+      } catch (error) {
+        return false;
+      }
+    });
+    if (userPattern) return `matches ${userPattern}`;
+
+    return null;
+  }
+
+  /**
+   * Generated passwords are one word mixing at least three kinds of characters
+   */
+  looksLikePassword(text) {
+    if (/\s/.test(text) || text.includes('://') || text.length < 8 || text.length > 64) {
+      return false;
+    }
+
+    const kinds = [/[a-z]/, /[A-Z]/, /\d/, /[^A-Za-z0-9]/].filter(kind => kind.test(text));
+    return kinds.length >= 3;
+  }
+
+  isIgnoredApp(app) {
+    const name = app.toLowerCase();
+    return this.getIgnoredApps().some(ignored => name.includes(ignored.toLowerCase()));
+  }
+
+  /**
+   * Name of the app in front, null where that can't be found out
+   * @returns {Promise<string|null>}
+   */
+  async getFocusedApp() {
+    if (!this.canDetectApps()) return null;
+
+    const command = isMac
+      ? 'osascript -e \'tell application "System Events" to get name of first application process whose frontmost is true\''
+      : 'xdotool getactivewindow getwindowclassname 2>/dev/null';
+
+    return (await this.selectionProvider.runCommand(command, 1000)) || null;
+  }
+
+  /**
+   * Offer the copied text in a small window in the corner of the screen the
+   * pointer is on. It shows without taking focus and goes away by itself.
+   */
+  async showToast(text) {
+    this.closeToast();
+    this.toastText = text;
+    let toast = null;
+
+    try {
+      const { workArea } = screen.getDisplayNearestPoint(screen.getCursorScreenPoint());
+
+      toast = new BrowserWindow({
+        width: TOAST_WIDTH,
+        height: TOAST_HEIGHT,
+        x: workArea.x + workArea.width - TOAST_WIDTH - TOAST_MARGIN,
+        y: workArea.y + workArea.height - TOAST_HEIGHT - TOAST_MARGIN,
+        frame: false,
+        resizable: false,
+        alwaysOnTop: true,
+        skipTaskbar: true,
+        fullscreenable: false,
+        show: false,
+        webPreferences: {
+          preload: path.join(__dirname, 'src', 'js', 'preload', 'preload_clipboard_toast.js'),
+          contextIsolation: true,
+          nodeIntegration: false,
+        },
+      });
+      this.toastWindow = toast;
+
+      // A replaced toast closes after the new one is set, leave that one alone
+      toast.once('closed', () => {
+        if (this.toastWindow === toast) {
+          this.toastWindow = null;
+        }
+      });
+
+      await toast.loadFile('clipboard-toast.html');
+      if (this.toastWindow !== toast || toast.isDestroyed()) return;
+
+      toast.webContents.send('clipboard-suggestion', {
+        text,
+        templates: this.searchTemplates.getVisibleTemplates()
+          .slice(0, MAX_TOAST_TEMPLATES)
+          .map(({ id, name }) => ({ id, name }))
+      });
+      toast.showInactive();
+    } catch (error) {
+      console.error('Failed to show clipboard suggestion:', error);
+      if (this.toastWindow === toast) {
+        this.closeToast();
+      } else if (toast && !toast.isDestroyed()) {
+        toast.close();
+      }
+    }
+  }
+
+  /**
+   * Search the offered text with the prefix picked in the toast
+   */
+  search(templateId) {
+    const text = this.toastText;
+    this.closeToast();
+    if (text) {
+      this.onSearch(text, templateId);
+    }
+  }
+
+  closeToast() {
+    if (this.toastWindow && !this.toastWindow.isDestroyed()) {
+      this.toastWindow.close();
+    }
+    this.toastWindow = null;
+    this.toastText = null;
+  }
+}
+
+module.exports = ClipboardWatcher;
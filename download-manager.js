@@ -0,0 +1,311 @@
+// download-manager.js
+const { app, BrowserWindow, Notification, session, shell } = require('electron');
+const fs = require('fs');
+const path = require('path');
+const Store = require('electron-store');
+
+const MAX_HISTORY = 100;
+const PROGRESS_THROTTLE = 250;
+
+class DownloadManager {
+  constructor(mainWindow) {
+    this.mainWindow = mainWindow;
+    this.store = new Store();
+    this.panelWindow = null;
+
+    // Downloads that were still running when the app quit can't be resumed
+    this.downloads = this.store.get('downloads', []).map(download => (
+      download.state === 'progressing' ? { ...download, state: 'interrupted' } : download
+    ));
+    // Live DownloadItems by download id, only for this run
+    this.items = new Map();
+    this.attachedSessions = new WeakSet();
+    this.sessionsById = new Map();
+    this.progressTimeout = null;
+  }
+
+  getDownloadFolder() {
+    return this.store.get('downloadFolder', app.getPath('downloads'));
+  }
+
+  setDownloadFolder(folder) {
+    if (folder && fs.existsSync(folder)) {
+      this.store.set('downloadFolder', folder);
+    }
+  }
+
+  getAskEachTime() {
+    return this.store.get('downloadAskEachTime', false);
+  }
+
+  setAskEachTime(askEachTime) {
+    this.store.set('downloadAskEachTime', askEachTime === true);
+  }
+
+  /**
+   * Start handling downloads of a session. Safe to call for every view,
+   * each session is only hooked once.
+   * @param {Session} session
+   * @param {string} sessionId - Partition name, used to retry in the same session
+   */
+  attachSession(session, sessionId = 'default') {
+    if (this.attachedSessions.has(session)) return;
+
+    this.attachedSessions.add(session);
+    this.sessionsById.set(sessionId, session);
+    session.on('will-download', (event, item) => this.handleDownload(item, sessionId));
+  }
+
+  handleDownload(item, sessionId) {
+    const id = `download-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    const filename = item.getFilename();
+
+    if (this.getAskEachTime()) {
+      item.setSaveDialogOptions({ defaultPath: path.join(this.getDownloadFolder(), filename) });
+    } else {
+      item.setSavePath(this.getUniquePath(this.getDownloadFolder(), filename));
+    }
+
+    const download = {
+      id,
+      url: item.getURL(),
+      filename,
+      savePath: item.getSavePath(),
+      sessionId,
+      state: 'progressing',
+      receivedBytes: 0,
+      totalBytes: item.getTotalBytes(),
+      startTime: Date.now()
+    };
+
+    this.items.set(id, item);
+    this.downloads.unshift(download);
+    this.downloads = this.downloads.slice(0, MAX_HISTORY);
+    this.saveDownloads();
+
+    item.on('updated', (event, state) => {
+      download.state = state === 'interrupted' ? 'interrupted' : 'progressing';
+      download.receivedBytes = item.getReceivedBytes();
+      download.totalBytes = item.getTotalBytes();
+      // The save path is only known once the user answered the save dialog
+      download.savePath = item.getSavePath();
+      download.filename = path.basename(download.savePath) || download.filename;
+      this.scheduleProgressUpdate();
+    });
+
+    item.once('done', (event, state) => {
+      download.state = state;
+      download.receivedBytes = item.getReceivedBytes();
+      download.savePath = item.getSavePath();
+      download.filename = path.basename(download.savePath) || download.filename;
+      this.items.delete(id);
+      this.saveDownloads();
+      this.sendUpdates();
+
+      if (state === 'completed') {
+        this.notifyCompleted(download);
+      }
+    });
+
+    this.sendUpdates();
+  }
+
+  /**
+   * Path inside folder that does not overwrite an existing file,
+   * "report.pdf" becomes "report (1).pdf" and so on
+   */
+  getUniquePath(folder, filename) {
+    const extension = path.extname(filename);
+    const base = path.basename(filename, extension);
+
+    let candidate = path.join(folder, filename);
+    for (let counter = 1; fs.existsSync(candidate); counter++) {
+      candidate = path.join(folder, `${base} (${counter})${extension}`);
+    }
+    return candidate;
+  }
+
+  /**
+   * Desktop notification, only while the window is hidden in the tray
+   */
+  notifyCompleted(download) {
+    if (!this.isWindowAlive() || this.mainWindow.isVisible()) return;
+
+    const notification = new Notification({
+      title: 'Download complete',
+      body: download.filename
+    });
+    notification.on('click', () => shell.showItemInFolder(download.savePath));
+    notification.show();
+  }
+
+  getDownload(id) {
+    return this.downloads.find(download => download.id === id) || null;
+  }
+
+  openDownload(id) {
+    const download = this.getDownload(id);
+    if (download && download.state === 'completed') {
+      shell.openPath(download.savePath).then(error => {
+        if (error) console.error(`Error opening ${download.savePath}:`, error);
+      });
+    }
+  }
+
+  showInFolder(id) {
+    const download = this.getDownload(id);
+    if (download && download.savePath) {
+      shell.showItemInFolder(download.savePath);
+    }
+  }
+
+  cancelDownload(id) {
+    const item = this.items.get(id);
+    if (item) {
+      item.cancel();
+    }
+  }
+
+  /**
+   * Resume an interrupted download when possible, otherwise fetch it again
+   * in the session it came from
+   */
+  retryDownload(id) {
+    const download = this.getDownload(id);
+    if (!download || download.state === 'progressing' || download.state === 'completed') return;
+
+    const item = this.items.get(id);
+    if (item && item.canResume()) {
+      item.resume();
+      return;
+    }
+
+    // After a restart no view may have used the partition yet, open it again
+    // so the file doesn't end up fetched with the wrong profile's cookies
+    const sessionId = download.sessionId || 'default';
+    let downloadSession = this.sessionsById.get(sessionId);
+    if (!downloadSession) {
+      downloadSession = sessionId === 'default' ? session.defaultSession : session.fromPartition(sessionId);
+      this.attachSession(downloadSession, sessionId);
+    }
+
+    this.removeDownload(id);
+    downloadSession.downloadURL(download.url);
+  }
+
+  removeDownload(id) {
+    this.cancelDownload(id);
+    this.downloads = this.downloads.filter(download => download.id !== id);
+    this.saveDownloads();
+    this.sendUpdates();
+  }
+
+  clearFinished() {
+    this.downloads = this.downloads.filter(download => download.state === 'progressing');
+    this.saveDownloads();
+    this.sendUpdates();
+  }
+
+  /**
+   * Overall progress of running downloads for the sidebar indicator
+   * @returns {{active: number, progress: number}} progress is 0-1, -1 when unknown
+   */
+  getProgress() {
+    const active = this.downloads.filter(download => download.state === 'progressing');
+    const totalBytes = active.reduce((sum, download) => sum + download.totalBytes, 0);
+    const receivedBytes = active.reduce((sum, download) => sum + download.receivedBytes, 0);
+
+    return {
+      active: active.length,
+      progress: totalBytes > 0 ? receivedBytes / totalBytes : -1
+    };
+  }
+
+  scheduleProgressUpdate() {
+    if (this.progressTimeout) return;
+
+    this.progressTimeout = setTimeout(() => {
+      this.progressTimeout = null;
+      this.sendUpdates();
+    }, PROGRESS_THROTTLE);
+  }
+
+  sendUpdates() {
+    if (this.isWindowAlive()) {
+      const { active, progress } = this.getProgress();
+      this.mainWindow.webContents.send('download-progress', { active, progress });
+      this.mainWindow.setProgressBar(active > 0 ? Math.max(progress, 0) : -1);
+    }
+
+    if (this.panelWindow && !this.panelWindow.isDestroyed()) {
+      this.panelWindow.webContents.send('downloads-list', this.downloads);
+    }
+  }
+
+  saveDownloads() {
+    this.store.set('downloads', this.downloads);
+  }
+
+  async showDownloadsPanel() {
+    if (this.panelWindow) {
+      this.closePanelWindow();
+      return;
+    }
+
+    try {
+      const isFullScreen = this.mainWindow.isFullScreen();
+
+      this.panelWindow = new BrowserWindow({
+        width: 500,
+        height: 600,
+        parent: isFullScreen ? null : this.mainWindow,
+        modal: false,
+        show: false,
+        frame: false,
+        resizable: true,
+        fullscreenable: false,
+        webPreferences: {
+          preload: path.join(__dirname, 'src', 'js', 'preload', 'preload_downloads_panel.js'),
+          contextIsolation: true,
+          nodeIntegration: false,
+        },
+      });
+
+      if (isFullScreen) {
+        const bounds = this.mainWindow.getBounds();
+        this.panelWindow.setPosition(bounds.x + bounds.width - 520, bounds.y + 80);
+      }
+
+      await this.panelWindow.loadFile('downloads-panel.html');
+
+      this.panelWindow.webContents.send('downloads-list', this.downloads);
+      this.panelWindow.show();
+      this.panelWindow.focus();
+
+      this.panelWindow.once('closed', () => {
+        this.panelWindow = null;
+        setTimeout(() => {
+          if (this.isWindowAlive()) {
+            this.mainWindow.focus();
+          }
+        }, 100);
+      });
+    } catch (error) {
+      console.error('Failed to create downloads panel:', error);
+      this.closePanelWindow();
+    }
+  }
+
+  closePanelWindow() {
+    if (this.panelWindow && !this.panelWindow.isDestroyed()) {
+      this.panelWindow.close();
+    }
+    this.panelWindow = null;
+  }
+
+  isWindowAlive() {
+    return this.mainWindow && !this.mainWindow.isDestroyed();
+  }
+}
+
+module.exports = DownloadManager;
@@ -0,0 +1,179 @@
+// endpoint-registry.js
+const Store = require('electron-store');
+
+const BUILTIN_ENDPOINTS = [
+  {
+    id: 'perplexity',
+    name: 'Perplexity AI',
+    icon: './assets/icons/svg/perplexity-ai-icon.svg',
+    homeUrl: 'https://perplexity.ai',
+    searchUrl: 'https://www.perplexity.ai/search?q={query}',
+    builtin: true
+  },
+  {
+    id: 'labs',
+    name: 'Perplexity Labs',
+    icon: './assets/icons/svg/perplexity-labs-icon.svg',
+    homeUrl: 'https://labs.perplexity.ai',
+    searchUrl: null,
+    builtin: true
+  }
+];
+
+const DEFAULT_SEARCH_ENDPOINT_ID = 'perplexity';
+
+class EndpointRegistry {
+  constructor() {
+    this.store = new Store();
+    this.endpoints = this.mergeWithBuiltins(this.store.get('endpoints', []));
+  }
+
+  /**
+   * Builtin entries always exist (the Perplexity AI / Labs shortcuts point at
+   * them) but their saved edits win over the shipped defaults
+   * @param {Array} savedEndpoints
+   * @returns {Array}
+   */
+  mergeWithBuiltins(savedEndpoints) {
+    const merged = BUILTIN_ENDPOINTS.map(builtin => {
+      const saved = savedEndpoints.find(endpoint => endpoint.id === builtin.id);
+      return { ...builtin, ...saved, builtin: true };
+    });
+
+    savedEndpoints
+      .filter(endpoint => !BUILTIN_ENDPOINTS.some(builtin => builtin.id === endpoint.id))
+      .forEach(endpoint => merged.push({ ...endpoint, builtin: false }));
+
+    return merged;
+  }
+
+  getEndpoints() {
+    return this.endpoints.map(endpoint => ({ ...endpoint }));
+  }
+
+  getEndpoint(endpointId) {
+    return this.endpoints.find(endpoint => endpoint.id === endpointId) || null;
+  }
+
+  /**
+   * Find the endpoint a page belongs to, preferring the most specific home URL
+   * so labs.perplexity.ai is not mistaken for perplexity.ai
+   * @param {string} url
+   * @returns {Object|null}
+   */
+  findByUrl(url) {
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch (e) {
+      return null;
+    }
+
+    const normalizeHost = (host) => host.replace(/^www\./, '');
+    const pageHost = normalizeHost(parsedUrl.host);
+
+    let bestMatch = null;
+    let bestLength = -1;
+
+    for (const endpoint of this.endpoints) {
+      try {
+        const home = new URL(endpoint.homeUrl);
+        const homePath = home.pathname.replace(/\/$/, '');
+
+        if (normalizeHost(home.host) === pageHost && parsedUrl.pathname.startsWith(homePath)) {
+          const matchLength = home.host.length + homePath.length;
+          if (matchLength > bestLength) {
+            bestMatch = endpoint;
+            bestLength = matchLength;
+          }
+        }
+      } catch (e) {
+        continue;
+      }
+    }
+
+    return bestMatch;
+  }
+
+  /**
+   * Endpoint used for searches that do not name one. Only endpoints with a
+   * search URL qualify, so this always ends on one that can take a query.
+   * @returns {Object}
+   */
+  getDefaultSearchEndpoint() {
+    const endpoint = this.getEndpoint(this.store.get('searchEndpoint', DEFAULT_SEARCH_ENDPOINT_ID));
+    if (endpoint && endpoint.searchUrl) {
+      return endpoint;
+    }
+
+    const fallback = this.getEndpoint(DEFAULT_SEARCH_ENDPOINT_ID);
+    return fallback && fallback.searchUrl
+      ? fallback
+      : BUILTIN_ENDPOINTS.find(builtin => builtin.id === DEFAULT_SEARCH_ENDPOINT_ID);
+  }
+
+  /**
+   * Endpoint a query for endpointId runs on. Endpoints without a search
+   * template hand the query to the default search endpoint.
+   * @param {string} [endpointId] - Target endpoint, defaults to the search endpoint
+   * @returns {Object}
+   */
+  getSearchEndpoint(endpointId) {
+    const endpoint = this.getEndpoint(endpointId) || this.getDefaultSearchEndpoint();
+
+    if (!endpoint.searchUrl) {
+      console.log(`Endpoint ${endpoint.id} has no search URL, using the default search endpoint`);
+      return this.getDefaultSearchEndpoint();
+    }
+    return endpoint;
+  }
+
+  /**
+   * Build the URL that runs a query on an endpoint
+   * @param {string} query - Full query text, prefix included
+   * @param {string} [endpointId] - Target endpoint, defaults to the search endpoint
+   * @returns {string}
+   */
+  buildSearchUrl(query, endpointId) {
+    const endpoint = this.getSearchEndpoint(endpointId);
+    return endpoint.searchUrl.replace(/\{query\}/g, encodeURIComponent(query));
+  }
+
+  /**
+   * Replace the user-defined endpoints and edits to the builtins
+   * Invalid entries (no name or non-http URLs) are dropped
+   * @param {Array} endpoints
+   */
+  setEndpoints(endpoints) {
+    const isHttpUrl = (value) => /^https?:\/\//i.test(value || '');
+
+    const validEndpoints = (endpoints || [])
+      .filter(endpoint => endpoint && endpoint.name && endpoint.name.trim() && isHttpUrl(endpoint.homeUrl))
+      .map(endpoint => ({
+        id: endpoint.id || `endpoint-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+        name: endpoint.name.trim(),
+        icon: (endpoint.icon || '').trim(),
+        homeUrl: endpoint.homeUrl.trim(),
+        searchUrl: isHttpUrl(endpoint.searchUrl) && endpoint.searchUrl.includes('{query}')
+          ? endpoint.searchUrl.trim()
+          : null,
+        shortcut: endpoint.shortcut && endpoint.shortcut.key
+          ? { key: endpoint.shortcut.key, enabled: endpoint.shortcut.enabled === true }
+          : null
+      }));
+
+    this.endpoints = this.mergeWithBuiltins(validEndpoints);
+    this.store.set('endpoints', this.endpoints.map(({ builtin, ...endpoint }) => endpoint));
+  }
+
+  setDefaultSearchEndpoint(endpointId) {
+    const endpoint = this.getEndpoint(endpointId);
+    if (endpoint && endpoint.searchUrl) {
+      this.store.set('searchEndpoint', endpointId);
+    }
+  }
+}
+
+EndpointRegistry.DEFAULT_SEARCH_ENDPOINT_ID = DEFAULT_SEARCH_ENDPOINT_ID;
+
+module.exports = EndpointRegistry;
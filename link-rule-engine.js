@@ -0,0 +1,172 @@
+// link-rule-engine.js
+const Store = require('electron-store');
+
+const ACTIONS = ['new-tab', 'current-view', 'external', 'block'];
+const DEFAULT_ACTION = 'external';
+
+// Perplexity links stay in the app, sign-in providers must load in the view
+// or logging in would finish in the system browser instead
+const DEFAULT_RULES = [
+  { pattern: '*.perplexity.ai', action: 'new-tab' },
+  { pattern: 'accounts.google.com', action: 'current-view' },
+  { pattern: 'appleid.apple.com', action: 'current-view' },
+  { pattern: 'login.microsoftonline.com', action: 'current-view' }
+];
+
+class LinkRuleEngine {
+  constructor() {
+    this.store = new Store();
+    this.rules = this.sanitizeRules(this.store.get('linkRules', DEFAULT_RULES));
+  }
+
+  sanitizeRules(rules) {
+    if (!Array.isArray(rules)) return DEFAULT_RULES.map(rule => ({ ...rule }));
+
+    return rules
+      .filter(rule => rule && typeof rule.pattern === 'string' && rule.pattern.trim())
+      .filter(rule => ACTIONS.includes(rule.action))
+      .map(rule => ({ pattern: rule.pattern.trim().toLowerCase(), action: rule.action }));
+  }
+
+  getRules() {
+    return this.rules.map(rule => ({ ...rule }));
+  }
+
+  setRules(rules) {
+    this.rules = this.sanitizeRules(rules);
+    this.store.set('linkRules', this.rules);
+  }
+
+  /**
+   * What happens to links no rule matches
+   * @returns {string}
+   */
+  getDefaultAction() {
+    const action = this.store.get('linkDefaultAction', DEFAULT_ACTION);
+    return ACTIONS.includes(action) ? action : DEFAULT_ACTION;
+  }
+
+  setDefaultAction(action) {
+    if (ACTIONS.includes(action)) {
+      this.store.set('linkDefaultAction', action);
+    }
+  }
+
+  getModifierOverride() {
+    return this.store.get('linkModifierOverride', true);
+  }
+
+  setModifierOverride(enabled) {
+    this.store.set('linkModifierOverride', enabled === true);
+  }
+
+  /**
+   * Patterns are hosts where "*." also matches the bare domain, e.g.
+   * "*.perplexity.ai". Patterns with a path match that path and everything
+   * below it, e.g. "github.com/inulute", and may use * as well.
+   * @param {string} pattern
+   * @param {URL} parsedUrl
+   * @returns {boolean}
+   */
+  matches(pattern, parsedUrl) {
+    const host = parsedUrl.hostname.toLowerCase();
+
+    if (!pattern.includes('/')) {
+      if (pattern.startsWith('*.')) {
+        const domain = pattern.substring(2);
+        return host === domain || host.endsWith(`.${domain}`);
+      }
+      return this.globToRegExp(pattern).test(host);
+    }
+
+    const target = `${host}${parsedUrl.pathname}`;
+    return this.globToRegExp(pattern).test(target)
+      || this.globToRegExp(`${pattern.replace(/\/$/, '')}/*`).test(target);
+  }
+
+  globToRegExp(glob) {
+    const escaped = glob.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    return new RegExp(`^${escaped}$`);
+  }
+
+  /**
+   * Action for a URL from the first matching rule. Anything that isn't
+   * http(s) goes to the system since the views can't show it.
+   * @param {string} url
+   * @returns {string} One of 'new-tab', 'current-view', 'external', 'block'
+   */
+  resolve(url) {
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch (e) {
+      return 'block';
+    }
+
+    if (parsedUrl.protocol !== 'http:' && parsedUrl.protocol !== 'https:') {
+      return 'external';
+    }
+
+    const rule = this.rules.find(candidate => this.matches(candidate.pattern, parsedUrl));
+    return rule ? rule.action : this.getDefaultAction();
+  }
+
+  /**
+   * Action for a link opening a new window. Ctrl/Cmd-click keeps the link
+   * in the app as a background tab and Shift-click sends it to the system
+   * browser, regardless of the rules.
+   * @param {string} url
+   * @param {string} disposition - From the window open handler details
+   * @param {string} [features] - From the window open handler details
+   * @returns {{action: string, activate: boolean}}
+   */
+  resolveWindowOpen(url, disposition, features = '') {
+    const action = this.resolve(url);
+
+    if (this.getModifierOverride() && action !== 'block' && /^https?:/i.test(url)) {
+      if (disposition === 'background-tab') return { action: 'new-tab', activate: false };
+      // window.open() popups with features, e.g. sign-in windows, are also
+      // 'new-window'. Only a Shift-click comes without any.
+      if (disposition === 'new-window' && !features) return { action: 'external', activate: false };
+    }
+
+    return { action, activate: disposition !== 'background-tab' };
+  }
+
+  /**
+   * Action for a link navigating the view itself. Links inside the same
+   * site always stay, "new-tab" hosts are followed in place since the user
+   * clicked a plain link.
+   * @param {string} url
+   * @param {string} currentUrl
+   * @returns {string} 'current-view', 'external' or 'block'
+   */
+  resolveNavigation(url, currentUrl) {
+    if (this.isSameSite(url, currentUrl)) return 'current-view';
+
+    const action = this.resolve(url);
+    return action === 'new-tab' ? 'current-view' : action;
+  }
+
+  /**
+   * Hosts are the same site when they match or one is a subdomain of the
+   * other. Sibling subdomains don't count, they may belong to different
+   * owners, e.g. two github.io pages or two co.uk domains.
+   */
+  isSameSite(url, otherUrl) {
+    try {
+      const host = new URL(url).hostname.toLowerCase();
+      const otherHost = new URL(otherUrl).hostname.toLowerCase();
+      return host === otherHost
+        || host.endsWith(`.${otherHost}`)
+        || otherHost.endsWith(`.${host}`);
+    } catch (e) {
+      return false;
+    }
+  }
+}
+
+LinkRuleEngine.ACTIONS = ACTIONS;
+LinkRuleEngine.DEFAULT_RULES = DEFAULT_RULES;
+
+module.exports = LinkRuleEngine;
@@ -0,0 +1,211 @@
+// load-failure-manager.js
+const { net, Notification } = require('electron');
+const path = require('path');
+
+const ERROR_PAGE = path.join(__dirname, 'error-page.html');
+const RETRY_BASE_DELAY = 2000;
+const RETRY_MAX_DELAY = 60000;
+// How often connectivity is checked while offline
+const ONLINE_POLL_INTERVAL = 3000;
+
+// Chromium net error codes that aren't failures worth a page
+const IGNORED_ERRORS = [
+  -3 // ERR_ABORTED, a navigation replaced by another one
+];
+
+const ERROR_MESSAGES = {
+  ERR_INTERNET_DISCONNECTED: 'You are not connected to the internet.',
+  ERR_NETWORK_CHANGED: 'The network connection changed while loading.',
+  ERR_NAME_NOT_RESOLVED: 'The site address could not be found.',
+  ERR_CONNECTION_REFUSED: 'The site refused the connection.',
+  ERR_CONNECTION_RESET: 'The connection was reset.',
+  ERR_CONNECTION_TIMED_OUT: 'The site took too long to respond.',
+  ERR_TIMED_OUT: 'The site took too long to respond.',
+  ERR_PROXY_CONNECTION_FAILED: 'The proxy server is not responding.'
+};
+
+class LoadFailureManager {
+  /**
+   * @param {TabManager} tabManager - Owner of the views that fail
+   * @param {Function} runQuery - Called with (url, options) to run a queued search
+   */
+  constructor(tabManager, runQuery) {
+    this.tabManager = tabManager;
+    this.runQuery = runQuery;
+    // Failed loads by tab id: { url, reason, attempts, timer }
+    this.failures = new Map();
+    this.queuedQueries = [];
+    this.onlinePoll = null;
+  }
+
+  isOnline() {
+    return net.isOnline();
+  }
+
+  /**
+   * Readable reason for a Chromium load error
+   * @param {number} errorCode
+   * @param {string} errorDescription - e.g. "ERR_NAME_NOT_RESOLVED"
+   * @returns {string}
+   */
+  describeError(errorCode, errorDescription) {
+    if (!this.isOnline()) return ERROR_MESSAGES.ERR_INTERNET_DISCONNECTED;
+    return ERROR_MESSAGES[errorDescription]
+      || `The page could not be loaded (${errorDescription || errorCode}).`;
+  }
+
+  isErrorPageUrl(url) {
+    return typeof url === 'string' && url.startsWith('file:') && url.includes('error-page.html');
+  }
+
+  /**
+   * Show the error page for a tab whose page could not load and schedule a retry
+   * @param {Object} tab
+   * @param {string} url - URL that failed
+   * @param {string} reason - Readable failure reason
+   * @param {number} [errorCode]
+   */
+  handleFailure(tab, url, reason, errorCode) {
+    if (IGNORED_ERRORS.includes(errorCode) || this.isErrorPageUrl(url)) return;
+    if (!tab.view || tab.view.webContents.isDestroyed()) return;
+
+    const previous = this.failures.get(tab.id);
+    const failure = {
+      url,
+      reason,
+      attempts: previous && previous.url === url ? previous.attempts + 1 : 0,
+      timer: null
+    };
+    this.clearRetry(tab.id);
+    this.failures.set(tab.id, failure);
+
+    const delay = Math.min(RETRY_BASE_DELAY * Math.pow(2, failure.attempts), RETRY_MAX_DELAY);
+    failure.timer = setTimeout(() => this.autoRetry(tab.id), delay);
+
+    // Keep the real address on the tab so sessions and retries use it
+    this.tabManager.updateTab(tab.id, { url, isLoading: false });
+
+    tab.view.webContents.loadFile(ERROR_PAGE, {
+      query: {
+        url,
+        reason,
+        offline: this.isOnline() ? '' : '1',
+        retryIn: String(Math.round(delay / 1000))
+      }
+    }).catch(error => console.error('Error showing the error page:', error));
+  }
+
+  /**
+   * Load the failed page again, waiting for the connection to come back first
+   */
+  autoRetry(tabId) {
+    const failure = this.failures.get(tabId);
+    if (!failure) return;
+
+    if (!this.isOnline()) {
+      failure.timer = setTimeout(() => this.autoRetry(tabId), ONLINE_POLL_INTERVAL);
+      return;
+    }
+
+    failure.timer = null;
+    this.retry(tabId);
+  }
+
+  /**
+   * Load a tab's failed URL now, the error page's retry button lands here
+   * @param {number} tabId
+   */
+  retry(tabId) {
+    const failure = this.failures.get(tabId);
+    if (!failure) return;
+
+    const tab = this.tabManager.getTab(tabId);
+    if (!tab || !tab.view || tab.view.webContents.isDestroyed()) {
+      this.forgetTab(tabId);
+      return;
+    }
+
+    if (failure.timer) {
+      clearTimeout(failure.timer);
+      failure.timer = null;
+    }
+    tab.view.webContents.loadURL(failure.url);
+  }
+
+  /**
+   * A tab loaded something successfully, forget its failure
+   * @param {number} tabId
+   * @param {string} url - URL that loaded
+   */
+  handleSuccess(tabId, url) {
+    if (this.isErrorPageUrl(url)) return;
+
+    this.clearRetry(tabId);
+    this.failures.delete(tabId);
+    this.flushQueue();
+  }
+
+  clearRetry(tabId) {
+    const failure = this.failures.get(tabId);
+    if (failure && failure.timer) {
+      clearTimeout(failure.timer);
+      failure.timer = null;
+    }
+  }
+
+  forgetTab(tabId) {
+    this.clearRetry(tabId);
+    this.failures.delete(tabId);
+  }
+
+  /**
+   * Hold a search made while offline until the connection is back
+   * @param {string} url - Search URL
+   * @param {Object} options - switchView options
+   */
+  queueQuery(url, options) {
+    this.queuedQueries.push({ url, options });
+
+    new Notification({
+      title: 'You are offline',
+      body: this.queuedQueries.length === 1
+        ? 'Your search will run once the connection is back.'
+        : `${this.queuedQueries.length} searches will run once the connection is back.`
+    }).show();
+
+    this.startOnlinePoll();
+  }
+
+  startOnlinePoll() {
+    if (this.onlinePoll) return;
+
+    this.onlinePoll = setInterval(() => {
+      if (this.isOnline()) {
+        this.flushQueue();
+      }
+    }, ONLINE_POLL_INTERVAL);
+  }
+
+  stopOnlinePoll() {
+    if (this.onlinePoll) {
+      clearInterval(this.onlinePoll);
+      this.onlinePoll = null;
+    }
+  }
+
+  flushQueue() {
+    if (!this.isOnline()) return;
+
+    this.stopOnlinePoll();
+    const queries = this.queuedQueries;
+    this.queuedQueries = [];
+    queries.forEach(({ url, options }) => this.runQuery(url, options));
+  }
+
+  stop() {
+    this.stopOnlinePoll();
+    this.failures.forEach((failure, tabId) => this.clearRetry(tabId));
+  }
+}
+
+module.exports = LoadFailureManager;
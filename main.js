@@ -6,7 +6,27 @@ const marked = require('marked');
 const windowStateKeeper = require('electron-window-state'); 
 const settings = new Store();
 const NotificationManager = require('./notification-manager');
+const DownloadManager = require('./download-manager');
+const LoadFailureManager = require('./load-failure-manager');
+const PeekManager = require('./peek-manager');
+const SearchHistoryManager = require('./search-history-manager');
+const ClipboardWatcher = require('./clipboard-watcher');
+const ScreenCaptureManager = require('./screen-capture-manager');
 const SearchService = require('./search-service');
+const TabManager = require('./tab-manager');
+const ViewLifecycleManager = require('./view-lifecycle-manager');
+const SessionManager = require('./session-manager');
+const ProfileManager = require('./profile-manager');
+const EndpointRegistry = require('./endpoint-registry');
+const endpointRegistry = new EndpointRegistry();
+const SearchTemplateEngine = require('./search-template-engine');
+const searchTemplates = new SearchTemplateEngine(endpointRegistry);
+const ZoomManager = require('./zoom-manager');
+const zoomManager = new ZoomManager();
+const LinkRuleEngine = require('./link-rule-engine');
+const linkRules = new LinkRuleEngine();
+const SelectionProvider = require('./selection-provider');
+const selectionProvider = new SelectionProvider();
 
 const isMac = process.platform === 'darwin';
 const isWindows = process.platform === 'win32';
@@ -17,20 +37,29 @@ if (process.platform === 'win32') {
 }
 
 let mainWindow;
-let currentView;
-let views = {};
+let tabManager;
+let viewLifecycleManager;
+let sessionManager;
+let profileManager;
 let tray = null;
 let settingsWindow = null;
 let updateWindow = null;
 let notificationManager;
+let downloadManager;
+let loadFailureManager;
+let peekManager;
+let searchHistoryManager;
+let clipboardWatcher;
+let screenCaptureManager;
 let searchService;
 let prefixSearchWindow = null; 
+let quickAskWindow = null;
 let launchedHidden = process.argv.includes('--hidden') || process.argv.includes('--start-minimized');
 let layoutCheckInterval;
+let findBarVisible = false;
 
 let autoStartEnabled = settings.get('autoStartEnabled', false);
 
-let originalClipboardContent = '';
 
 let lastUpdateCheck = 0;
 const UPDATE_CHECK_INTERVAL = 12 * 60 * 60 * 1000; // Check twice per day (every 12 hours)
@@ -70,6 +99,9 @@ function configureAutoStart(enable) {
 }
 
 // Process command line arguments for searching
+// --endpoint=<id> picks the registered AI endpoint the search (or home page) opens on
+// --template=<id>, --focus=<source>, --mode=<pro|quick> and --thread=<new|continue>
+// shape the search itself, see search-template-engine.js
 function processCommandLineArgs(argv) {
   const searchArg = argv.find(arg => 
     arg.startsWith('--search-text=') || 
@@ -77,9 +109,21 @@ function processCommandLineArgs(argv) {
     arg.startsWith('--meaning=')
   );
   
+  const getArgValue = (name) => {
+    const arg = argv.find(arg => arg.startsWith(`--${name}=`));
+    return arg ? arg.substring(name.length + 3).trim() : undefined;
+  };
+  
+  const endpointId = getArgValue('endpoint');
+  const endpoint = endpointId ? endpointRegistry.getEndpoint(endpointId) : null;
+  
+  if (endpointId && !endpoint) {
+    console.log(`Unknown endpoint requested on the command line: ${endpointId}`);
+  }
+  
   if (searchArg) {
     let searchText = '';
-    let searchPrefix = '';
+    let template = getArgValue('template');
     let argType = '';
     
     if (searchArg.startsWith('--search-text=')) {
@@ -88,11 +132,11 @@ function processCommandLineArgs(argv) {
     } else if (searchArg.startsWith('--explain=')) {
       argType = '--explain=';
       searchText = searchArg.substring(argType.length);
-      searchPrefix = 'explain ';
+      template = 'explain';
     } else if (searchArg.startsWith('--meaning=')) {
       argType = '--meaning=';
       searchText = searchArg.substring(argType.length);
-      searchPrefix = 'meaning of ';
+      template = 'meaning';
     }
     
     searchText = searchText.trim();
@@ -109,14 +153,41 @@ function processCommandLineArgs(argv) {
     
     console.log('Processed search text:', searchText);
     
-    if (searchText) {
+    const search = searchTemplates.build(searchText, {
+      template,
+      endpointId: endpoint ? endpoint.id : undefined,
+      focus: getArgValue('focus'),
+      mode: getArgValue('mode'),
+      thread: getArgValue('thread')
+    });
+    
+    if (search) {
       return {
-        formattedText: searchPrefix + searchText.trim(),
-        searchUrl: `https://www.perplexity.ai/search?q=${encodeURIComponent(searchPrefix + searchText.trim())}`
+        formattedText: search.query,
+        searchUrl: search.url,
+        isSearch: true,
+        newTab: search.newTab,
+        composer: search.composer,
+        history: {
+          query: search.query,
+          text: searchText,
+          template: search.template,
+          endpointId: search.endpointId,
+          focus: search.focus,
+          source: 'cli'
+        }
       };
     }
   }
   
+  if (endpoint) {
+    return {
+      formattedText: '',
+      searchUrl: endpoint.homeUrl,
+      isSearch: false
+    };
+  }
+  
   return null;
 }
 
@@ -127,7 +198,10 @@ const defaultShortcuts = isMac
       sendToTray: { key: 'Command+W', enabled: false },
       restoreApp: { key: 'Command+Shift+Q', enabled: false },
       quickSearch: { key: 'Command+Shift+P', enabled: false },
-      customPrefixSearch: { key: 'Command+Shift+C', enabled: false }
+      customPrefixSearch: { key: 'Command+Shift+C', enabled: false },
+      swapSplitFocus: { key: 'Command+Shift+S', enabled: false },
+      quickAsk: { key: 'Command+Shift+A', enabled: false },
+      screenshotAsk: { key: 'Command+Shift+R', enabled: false }
     }
   : {
       perplexityAI: { key: 'Control+1', enabled: false },
@@ -135,7 +209,10 @@ const defaultShortcuts = isMac
       sendToTray: { key: 'Alt+Shift+W', enabled: false },
       restoreApp: { key: 'Alt+Shift+Q', enabled: false },
       quickSearch: { key: 'Alt+Shift+X', enabled: false },
-      customPrefixSearch: { key: 'Alt+Shift+D', enabled: false }
+      customPrefixSearch: { key: 'Alt+Shift+D', enabled: false },
+      swapSplitFocus: { key: 'Alt+Shift+S', enabled: false },
+      quickAsk: { key: 'Alt+Shift+A', enabled: false },
+      screenshotAsk: { key: 'Alt+Shift+R', enabled: false }
     };
 
 let shortcuts = settings.get('shortcuts', defaultShortcuts);
@@ -152,6 +229,14 @@ function ensureShortcutsFormat() {
     }
   }
   
+  // Shortcuts added in newer versions start out disabled with their default key
+  for (const [key, value] of Object.entries(defaultShortcuts)) {
+    if (!shortcuts[key]) {
+      shortcuts[key] = { ...value };
+      updated = true;
+    }
+  }
+  
   if (updated) {
     settings.set('shortcuts', shortcuts);
   }
@@ -177,8 +262,8 @@ function registerShortcuts() {
   globalShortcut.unregisterAll();
 
   const shortcutActions = {
-    perplexityAI: () => switchView('https://perplexity.ai'),
-    perplexityLabs: () => switchView('https://labs.perplexity.ai'),
+    perplexityAI: () => openEndpoint('perplexity'),
+    perplexityLabs: () => openEndpoint('labs'),
     sendToTray: () => mainWindow.hide(),
     restoreApp: () => {
       if (mainWindow.isMinimized() || !mainWindow.isVisible()) {
@@ -189,13 +274,25 @@ function registerShortcuts() {
     },
     quickSearch: () => {
       if (searchService) {
-        searchService.searchSelectedText();
+        // A shortcut entry may name a search template, e.g. { key, enabled, template: 'explain' }
+        searchService.searchSelectedText({ template: shortcuts.quickSearch.template, source: 'shortcut' });
       }
     },
     customPrefixSearch: () => {
       if (searchService) {
         showPrefixSearchWindow();
       }
+    },
+    swapSplitFocus: () => {
+      if (tabManager) {
+        tabManager.swapSplitFocus();
+      }
+    },
+    quickAsk: () => showQuickAskWindow(),
+    screenshotAsk: () => {
+      if (screenCaptureManager) {
+        screenCaptureManager.start();
+      }
     }
   };
 
@@ -211,80 +308,39 @@ function registerShortcuts() {
       }
     }
   }
-}
+  
+  // User-defined endpoints carry their own optional shortcut
+  for (const endpoint of endpointRegistry.getEndpoints()) {
+    if (!endpoint.builtin && endpoint.shortcut && endpoint.shortcut.enabled && endpoint.shortcut.key) {
+      try {
+        globalShortcut.register(endpoint.shortcut.key, () => openEndpoint(endpoint.id));
+      } catch (error) {
+        console.error(`Failed to register shortcut for endpoint ${endpoint.name}:`, error);
+      }
+    }
+  }
 
-/**
- * Gets selected text directly from X11 selections
- * Uses xclip to access both primary (mouse) and clipboard selections
- * @returns {Promise<string>} The selected text or empty string if no selection
- */
-function getX11SelectionText() {
-  return new Promise((resolve) => {
-    const { exec } = require('child_process');
-    
-    // Try primary selection first (mouse selection)
-    exec('xclip -o -selection primary 2>/dev/null', { timeout: 1000 }, (primaryError, primaryText) => {
-      if (!primaryError && primaryText && primaryText.trim()) {
-        console.log('Got text from primary selection');
-        resolve(primaryText.trim());
-      } else {
-        // Fall back to clipboard selection
-        exec('xclip -o -selection clipboard 2>/dev/null', { timeout: 1000 }, (clipboardError, clipboardText) => {
-          if (!clipboardError && clipboardText && clipboardText.trim()) {
-            console.log('Got text from clipboard selection');
-            resolve(clipboardText.trim());
-          } else {
-            // Last resort: Use the existing clipboard content
-            const clipboardContent = clipboard.readText().trim();
-            console.log('Using clipboard content as fallback', clipboardContent ? 'has content' : 'is empty');
-            resolve(clipboardContent);
-          }
-        });
+  // So can prefix templates, each sending the selection to its own target
+  for (const template of searchTemplates.getVisibleTemplates()) {
+    if (template.shortcut && template.shortcut.enabled && template.shortcut.key) {
+      try {
+        globalShortcut.register(template.shortcut.key, () => searchSelectionWithTemplate(template));
+      } catch (error) {
+        console.error(`Failed to register shortcut for template ${template.name}:`, error);
       }
-    });
-  });
+    }
+  }
 }
 
+/**
+ * Capture the selection and offer it in the prefix search window. The
+ * selection provider has put the clipboard back by the time it resolves.
+ */
 function showPrefixSearchWindow() {
-  originalClipboardContent = clipboard.readText();
-  
-  if (isLinux) {
-    getX11SelectionText().then((selectedText) => {
-      if (!selectedText) {
-        const notification = new Notification({
-          title: 'No text selected',
-          body: 'Please select text before searching or install xclip: sudo pacman -S xclip'
-        });
-        notification.show();
-        
-        clipboard.writeText(originalClipboardContent);
-        return;
-      }
-      
-      createPrefixSearchWindow(selectedText);
-    });
-    return;
-  }
-  
-  clipboard.writeText('');
-  
-  searchService.copySelectedText().then(() => {
-    setTimeout(() => {
-      const selectedText = clipboard.readText().trim();
-      
-      if (!selectedText) {
-        const notification = new Notification({
-          title: 'No text selected',
-          body: 'Please select text before searching.'
-        });
-        notification.show();
-        
-        clipboard.writeText(originalClipboardContent);
-        return;
-      }
-      
+  searchService.searchWithCustomPrefix().then((selectedText) => {
+    if (selectedText) {
       createPrefixSearchWindow(selectedText);
-    }, 400);
+    }
   });
 }
 
@@ -329,20 +385,8 @@ function createPrefixSearchWindow(selectedText) {
     prefixSearchWindow.on('blur', () => {
       if (prefixSearchWindow && !prefixSearchWindow.isDestroyed()) {
         prefixSearchWindow.close();
-        
-        setTimeout(() => {
-          clipboard.writeText(originalClipboardContent);
-        }, 500);
       }
     });
-    
-    prefixSearchWindow.on('closed', () => {
-      setTimeout(() => {
-        if (clipboard.readText() !== originalClipboardContent) {
-          clipboard.writeText(originalClipboardContent);
-        }
-      }, 200);
-    });
   } else {
     prefixSearchWindow.webContents.send('set-selected-text', selectedText);
     prefixSearchWindow.show();
@@ -350,6 +394,260 @@ function createPrefixSearchWindow(selectedText) {
   }
 }
 
+/**
+ * Open the quick-ask launcher on the display under the mouse cursor
+ */
+function showQuickAskWindow() {
+  const { screen } = require('electron');
+  const display = screen.getDisplayNearestPoint(screen.getCursorScreenPoint());
+  const { workArea } = display;
+  const width = 640;
+  const height = 132;
+  const bounds = {
+    x: Math.round(workArea.x + (workArea.width - width) / 2),
+    y: Math.round(workArea.y + workArea.height / 4),
+    width,
+    height
+  };
+
+  if (quickAskWindow && !quickAskWindow.isDestroyed()) {
+    quickAskWindow.setBounds(bounds);
+    quickAskWindow.webContents.send('quick-ask-shown');
+    quickAskWindow.show();
+    quickAskWindow.focus();
+    return;
+  }
+
+  quickAskWindow = new BrowserWindow({
+    ...bounds,
+    frame: false,
+    resizable: false,
+    transparent: false,
+    alwaysOnTop: true,
+    skipTaskbar: true,
+    show: false,
+    webPreferences: {
+      preload: path.join(__dirname, 'src', 'js', 'preload', 'preload_quick_ask.js'),
+      contextIsolation: true,
+      nodeIntegration: false,
+      backgroundThrottling: false,
+      devTools: false
+    }
+  });
+
+  quickAskWindow.loadFile('quick-ask.html', { cache: false });
+
+  quickAskWindow.once('ready-to-show', () => {
+    quickAskWindow.webContents.send('quick-ask-shown');
+    quickAskWindow.show();
+    quickAskWindow.focus();
+  });
+
+  // Hidden rather than closed so the next shortcut press opens instantly
+  quickAskWindow.on('blur', () => {
+    if (quickAskWindow && !quickAskWindow.isDestroyed()) {
+      quickAskWindow.hide();
+    }
+  });
+
+  quickAskWindow.on('closed', () => {
+    quickAskWindow = null;
+  });
+}
+
+function hideQuickAskWindow() {
+  if (quickAskWindow && !quickAskWindow.isDestroyed()) {
+    quickAskWindow.hide();
+  }
+}
+
+/**
+ * Remember a quick-ask query for up-arrow recall, newest first
+ * @param {string} text
+ */
+function addQuickAskHistory(text) {
+  const history = settings.get('quickAskHistory', []).filter(entry => entry !== text);
+  history.unshift(text);
+  settings.set('quickAskHistory', history.slice(0, 50));
+}
+
+/**
+ * Open Labs and type the query into its composer, Labs has no search URL
+ * @param {string} query
+ */
+function sendToLabs(query) {
+  openEndpoint('labs');
+
+  const tab = tabManager.getActiveTab();
+  if (!tab || !tab.view) return;
+
+  const webContents = tab.view.webContents;
+  const fill = () => webContents.send('fill-composer', { text: query, submit: true });
+
+  if (webContents.isLoading()) {
+    webContents.once('did-finish-load', fill);
+  } else {
+    fill();
+  }
+}
+
+/**
+ * Start a new thread with a screenshot attached in its composer
+ * @param {Buffer} image - PNG data
+ * @param {string} prompt - Question to go with it, may be empty
+ */
+function askAboutScreenshot(image, prompt) {
+  switchView(endpointRegistry.getDefaultSearchEndpoint().homeUrl, {
+    search: true,
+    newTab: true,
+    // The image takes a moment to upload, the user sends the question once it's in
+    composer: { text: prompt, submit: false, files: [{ name: 'screenshot.png', type: 'image/png', data: image }] },
+    composerConfirmed: true
+  });
+  showMainWindow();
+}
+
+// Attachments travel to the page in one IPC message, all of them together
+// have to stay small
+const MAX_ATTACHMENTS_SIZE = 8 * 1024 * 1024;
+const MAX_ATTACHMENTS = 10;
+const ATTACHMENT_TYPES = {
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+/**
+ * Read dropped files for upload. PDFs and images keep their type, anything
+ * else goes as plain text if it is text, e.g. source files.
+ * @param {string[]} filePaths
+ * @returns {Promise<{files: Array<{name: string, type: string, data: Buffer}>, skipped: string[]}>}
+ */
+async function readAttachments(filePaths) {
+  const files = [];
+  const skipped = [];
+  let totalSize = 0;
+
+  for (const filePath of filePaths.filter(Boolean)) {
+    const name = path.basename(filePath);
+    try {
+      const stats = await fs.promises.stat(filePath);
+      if (!stats.isFile() || totalSize + stats.size > MAX_ATTACHMENTS_SIZE || files.length >= MAX_ATTACHMENTS) {
+        skipped.push(name);
+        continue;
+      }
+
+      const data = await fs.promises.readFile(filePath);
+      let type = ATTACHMENT_TYPES[path.extname(filePath).toLowerCase()];
+      if (!type) {
+        // A NUL byte near the start gives binary files away
+        if (data.subarray(0, 8000).includes(0)) {
+          skipped.push(name);
+          continue;
+        }
+        type = 'text/plain';
+      }
+
+      files.push({ name, type, data });
+      totalSize += data.length;
+    } catch (error) {
+      console.error(`Failed to read dropped file ${filePath}:`, error);
+      skipped.push(name);
+    }
+  }
+
+  return { files, skipped };
+}
+
+/**
+ * Start a new thread with dropped files attached in its composer
+ * @param {string[]} filePaths
+ */
+async function askAboutFiles(filePaths) {
+  const { files, skipped } = await readAttachments(filePaths);
+
+  if (skipped.length > 0) {
+    dialog.showMessageBox(mainWindow, {
+      type: 'info',
+      title: 'Some Files Were Skipped',
+      message: `${skipped.length === 1 ? 'This file wasn\'t' : 'These files weren\'t'} attached: ${skipped.join(', ')}`,
+      detail: `Folders, binary files other than PDFs and images, more than ${MAX_ATTACHMENTS_SIZE / 1024 / 1024} MB or more than ${MAX_ATTACHMENTS} files at once can't be attached.`,
+      buttons: ['OK']
+    });
+  }
+  if (files.length === 0) return;
+
+  switchView(endpointRegistry.getDefaultSearchEndpoint().homeUrl, {
+    search: true,
+    newTab: true,
+    composer: { text: '', submit: false, files },
+    composerConfirmed: true
+  });
+  showMainWindow();
+}
+
+/**
+ * Offer dropped text in the prefix chooser like a selection
+ */
+function askAboutDroppedText(text) {
+  if (text && text.trim()) {
+    createPrefixSearchWindow(text.trim());
+  }
+}
+
+/**
+ * Type a query into the composer once the page that was just opened loads
+ * @param {WebContents} webContents
+ * @param {{text: string, submit: boolean}} composer
+ */
+function fillComposerAfterLoad(webContents, composer) {
+  if (!webContents || webContents.isDestroyed()) return;
+  webContents.once('did-finish-load', () => webContents.send('fill-composer', composer));
+}
+
+/**
+ * Ask before sending a query over the longTextWarnLength setting, showing
+ * the start of it. The dialog can also change whether it is submitted.
+ * @param {{text: string, submit: boolean}} composer
+ * @returns {Promise<{text: string, submit: boolean}|null>} null when cancelled
+ */
+async function confirmLongText(composer) {
+  const { text } = composer;
+  if (text.length <= searchTemplates.getLongTextWarnLength()) return composer;
+
+  const previewLength = 600;
+  const preview = text.length > previewLength ? `${text.substring(0, previewLength)}…` : text;
+  const options = {
+    type: 'warning',
+    title: 'Long Selection',
+    message: `This search is ${text.length.toLocaleString()} characters long. Send it?`,
+    detail: preview,
+    buttons: ['Send', 'Cancel'],
+    defaultId: 0,
+    cancelId: 1,
+    checkboxLabel: 'Submit automatically',
+    checkboxChecked: composer.submit
+  };
+
+  // A hidden parent would hide the dialog as well
+  const { response, checkboxChecked } = mainWindow && mainWindow.isVisible()
+    ? await dialog.showMessageBox(mainWindow, options)
+    : await dialog.showMessageBox(options);
+
+  return response === 0 ? { text, submit: checkboxChecked } : null;
+}
+
+function showMainWindow() {
+  if (mainWindow && (mainWindow.isMinimized() || !mainWindow.isVisible())) {
+    mainWindow.show();
+    setTimeout(() => adjustViewBounds(), 100);
+  }
+  mainWindow?.focus();
+}
+
 function calculatePrefixWindowPosition() {
   const screenBounds = require('electron').screen.getPrimaryDisplay().workAreaSize;
   const windowBounds = mainWindow ? mainWindow.getBounds() : { x: 0, y: 0, width: 800, height: 600 };
@@ -430,7 +728,7 @@ function createWindow() {
       mainWindow.show();
     }
     registerShortcuts();
-    loadDefaultAI();
+    loadDefaultAI().catch(console.error);
     checkForUpdates();
     
     notificationManager.checkForNotifications();
@@ -450,6 +748,15 @@ function createWindow() {
     setTimeout(() => adjustViewBounds(), 200);
   });
 
+  // Mouse buttons 4/5 arrive as app commands on Windows and Linux
+  mainWindow.on('app-command', (event, command) => {
+    if (command === 'browser-backward') {
+      tabManager.goBack();
+    } else if (command === 'browser-forward') {
+      tabManager.goForward();
+    }
+  });
+
   mainWindow.on('restore', () => {
     setTimeout(() => adjustViewBounds(), 200);
   });
@@ -479,9 +786,51 @@ function createWindow() {
   
   notificationManager = new NotificationManager(mainWindow);
   
-  searchService = new SearchService(mainWindow, switchView);
+  downloadManager = new DownloadManager(mainWindow);
+  
+  searchHistoryManager = new SearchHistoryManager(mainWindow);
+  
+  searchService = new SearchService(mainWindow, switchView, searchTemplates, selectionProvider);
+  
+  clipboardWatcher = new ClipboardWatcher({
+    searchTemplates,
+    selectionProvider,
+    onSearch: (text, templateId) => {
+      searchService.performSearch(text, { template: templateId, source: 'clipboard' });
+      showMainWindow();
+    }
+  });
+  clipboardWatcher.update();
+  
+  screenCaptureManager = new ScreenCaptureManager({
+    selectionProvider,
+    onCapture: askAboutScreenshot
+  });
+  
+  profileManager = new ProfileManager();
   
-  setInterval(() => cleanupUnusedResources(), 300000); // Every 5 minutes
+  tabManager = new TabManager(mainWindow, createBrowserView, getProfileDefaultUrl);
+  tabManager.setActiveProfile(profileManager.getActiveProfile().id);
+  
+  viewLifecycleManager = new ViewLifecycleManager(tabManager);
+  viewLifecycleManager.start();
+  
+  sessionManager = new SessionManager(tabManager, profileManager);
+  
+  loadFailureManager = new LoadFailureManager(tabManager, (url, options) => switchView(url, options));
+  
+  peekManager = new PeekManager({
+    configureView: configurePeekView,
+    promoteToTab: (url, profileId) => {
+      if (profileId !== tabManager.activeProfileId) {
+        switchProfile(profileId, { openDefault: false });
+      }
+      tabManager.openTab(url);
+      showMainWindow();
+    }
+  });
+  
+  tabManager.onChange(() => sendZoomUpdate());
 }
 
 app.on('before-quit', () => {
@@ -489,24 +838,135 @@ app.on('before-quit', () => {
   if (layoutCheckInterval) {
     clearInterval(layoutCheckInterval);
   }
+  if (viewLifecycleManager) {
+    viewLifecycleManager.stop();
+  }
+  if (sessionManager) {
+    sessionManager.save();
+  }
+  if (loadFailureManager) {
+    loadFailureManager.stop();
+  }
+  if (clipboardWatcher) {
+    clipboardWatcher.stop();
+    clipboardWatcher.closeToast();
+  }
 });
 
-function loadDefaultAI() {
-  const defaultAI = settings.get('defaultAI', 'https://perplexity.ai');
-  switchView(defaultAI);
+/**
+ * Bring back the previous session if the restore mode allows it,
+ * otherwise start on the profile's default AI page
+ */
+async function loadDefaultAI() {
+  sendProfilesUpdate();
+  
+  const restore = await sessionManager.shouldRestore(mainWindow);
+  
+  if (restore && sessionManager.restore()) {
+    // The saved session may have been on another profile
+    sendProfilesUpdate();
+    updateTrayMenu();
+  } else {
+    const defaultAI = getProfileDefaultUrl(tabManager.activeProfileId);
+    switchView(defaultAI);
+    
+    const splitLayout = tabManager.getSplitLayout();
+    if (splitLayout.enabled && !tabManager.isSplit()) {
+      tabManager.enableSplit(splitLayout.secondaryUrl || getSplitFallbackUrl());
+    }
+  }
+  
+  sessionManager.startTracking();
+}
+
+/**
+ * URL for the second pane when split view is opened with a single tab:
+ * the next registered endpoint after the one shown in the active tab
+ * (Labs next to Perplexity search with the builtin endpoints)
+ * @returns {string}
+ */
+function getSplitFallbackUrl() {
+  const activeTab = tabManager.getActiveTab();
+  const activeEndpoint = activeTab ? endpointRegistry.findByUrl(activeTab.view.webContents.getURL()) : null;
+  const endpoints = endpointRegistry.getEndpoints();
+  
+  const activeIndex = activeEndpoint ? endpoints.findIndex(e => e.id === activeEndpoint.id) : -1;
+  return endpoints[(activeIndex + 1) % endpoints.length].homeUrl;
+}
+
+/**
+ * Open an endpoint's home page, reusing the tab it was first opened in
+ * @param {string} endpointId
+ */
+function openEndpoint(endpointId) {
+  const endpoint = endpointRegistry.getEndpoint(endpointId);
+  if (endpoint) {
+    switchView(endpoint.homeUrl);
+  }
+}
+
+function sendEndpointsUpdate() {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('endpoints-updated', endpointRegistry.getEndpoints());
+  }
+}
+
+/**
+ * Home URL for a profile, falling back to the global Default AI setting
+ * @param {string} profileId
+ * @returns {string}
+ */
+function getProfileDefaultUrl(profileId) {
+  const profile = profileManager.getProfile(profileId);
+  return (profile && profile.defaultAI) || settings.get('defaultAI', 'https://perplexity.ai');
+}
+
+/**
+ * Show another profile's tabs, opening its home page if it has none yet
+ * @param {string} profileId
+ * @param {Object} [options]
+ * @param {boolean} [options.openDefault=true] - Open the profile's home page when it has no tabs
+ */
+function switchProfile(profileId, { openDefault = true } = {}) {
+  if (!profileManager.setActiveProfile(profileId)) return;
+  
+  const activatedTab = tabManager.setActiveProfile(profileId);
+  if (!activatedTab && openDefault) {
+    tabManager.openTab(getProfileDefaultUrl(profileId));
+  }
+  
+  sendProfilesUpdate();
+  updateTrayMenu();
+}
+
+function sendProfilesUpdate() {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('profiles-updated', {
+      profiles: profileManager.getProfiles(),
+      activeProfileId: profileManager.activeProfileId
+    });
+  }
+}
+
+function toggleSplitView() {
+  tabManager.toggleSplit(getSplitFallbackUrl());
 }
 
 function adjustViewBounds() {
-  if (currentView && mainWindow) {
+  if (tabManager && mainWindow) {
     const bounds = mainWindow.getContentBounds();
     const sidebarWidth = 60;
+    const tabStripHeight = 36;
+    // The find bar sits between the tab strip and the views while it is open
+    const findBarHeight = findBarVisible ? 36 : 0;
+    const topOffset = tabStripHeight + findBarHeight;
     
     const viewWidth = Math.max(bounds.width - sidebarWidth, 500);
-    const viewHeight = Math.max(bounds.height, 400);
+    const viewHeight = Math.max(bounds.height - topOffset, 400);
     
-    currentView.setBounds({
+    tabManager.setBounds({
       x: sidebarWidth,
-      y: 0,
+      y: topOffset,
       width: viewWidth,
       height: viewHeight,
     });
@@ -517,142 +977,363 @@ function adjustViewBounds() {
   }
 }
 
-function switchView(url) {
-  if (url === 'refresh' && currentView) {
-    
-    const currentUrl = currentView.webContents.getURL();
-    let baseUrl;
-    
-    if (currentUrl.includes('labs.perplexity.ai')) {
-      baseUrl = 'https://labs.perplexity.ai';
-    } else if (currentUrl.includes('perplexity.ai')) {
-      baseUrl = 'https://perplexity.ai';
-    } else {
-      baseUrl = settings.get('defaultAI', 'https://perplexity.ai');
-    }
-    
-    console.log(`Refreshing to base URL: ${baseUrl}`);
-    currentView.webContents.loadURL(baseUrl);
+/**
+ * Opens a URL in the tab strip
+ * Home pages (sidebar buttons) reuse the tab they were first opened in,
+ * searches open a new tab or replace the active one depending on settings
+ * @param {string} url - URL to open, 'refresh', or 'search:<query>'
+ * @param {Object} [options]
+ * @param {boolean} [options.search=false] - Treat the URL as a search result
+ * @param {boolean} [options.newTab] - Override the openSearchesInNewTab setting
+ * @param {Object} [options.history] - Search history details, see SearchHistoryManager.record
+ * @param {Object} [options.composer] - { text, submit } to type into the page's composer,
+ *   for queries too long for the URL
+ */
+function switchView(url, options = {}) {
+  let activeTab = tabManager.getActiveTab();
+
+  if (url === 'refresh') {
+    tabManager.reloadActiveTab();
     return;
   }
 
-  if (currentView) {
-    mainWindow.removeBrowserView(currentView);
-  }
+  let isSearch = options.search === true;
 
   if (url.startsWith('search:')) {
-    const searchQuery = url.substring(7).trim();
-    if (searchQuery) {
-      url = `https://www.perplexity.ai/search?q=${encodeURIComponent(searchQuery)}`;
+    const text = url.substring(7);
+    const search = searchTemplates.build(text);
+    if (search) {
+      url = search.url;
+      isSearch = true;
+      options = {
+        ...options,
+        composer: search.composer,
+        history: options.history || {
+          query: search.query,
+          text,
+          template: search.template,
+          endpointId: search.endpointId,
+          focus: search.focus,
+          source: 'app'
+        }
+      };
     } else {
-      url = 'https://perplexity.ai';
+      url = endpointRegistry.getDefaultSearchEndpoint().homeUrl;
     }
   }
 
-  const maxCachedViews = 2; 
-  const viewUrls = Object.keys(views);
-  if (viewUrls.length > maxCachedViews && !views[url]) {
-    const oldestUrl = viewUrls[0];
-    const oldView = views[oldestUrl];
-    if (oldView) {
-      oldView.webContents.destroy();
-    }
-    delete views[oldestUrl];
+  // Searches made offline would only land on an error page
+  if (isSearch && !loadFailureManager.isOnline()) {
+    loadFailureManager.queueQuery(url, { ...options, search: true });
+    return;
   }
 
-  if (views[url]) {
-    currentView = views[url];
-  } else {
-    currentView = new BrowserView({
-      webPreferences: {
-        contextIsolation: true,
-        preload: path.join(__dirname, 'src', 'js', 'preload', 'preload_inject.js'),
-        backgroundThrottling: true, 
-        worldSafeExecuteJavaScript: true,
-        sandbox: false,
-        webgl: true, 
-        enableWebSQL: false,
-        // Memory optimization settings
-        disableBlinkFeatures: 'Accelerated2dCanvas', 
-        enableBlinkFeatures: 'PaintHolding', 
-      },
+  // Queries too long for the URL go through the composer, very long ones
+  // only after the user saw a preview
+  if (isSearch && options.composer && !options.composerConfirmed) {
+    confirmLongText(options.composer).then((composer) => {
+      if (composer) {
+        switchView(url, { ...options, search: true, composer, composerConfirmed: true });
+      }
     });
-    
-    if (currentView.webContents.setVisualZoomLevelLimits) {
-      currentView.webContents.setVisualZoomLevelLimits(1, 1); 
-    }
-    
-   
-    if (currentView.webContents.setBackgroundThrottling) {
-      currentView.webContents.setBackgroundThrottling(true);
-    }
-    
-   
-    if (currentView.webContents.session && currentView.webContents.session.webRequest) {
-      currentView.webContents.session.webRequest.onBeforeSendHeaders((details, callback) => {
-        callback({cancel: false, requestHeaders: details.requestHeaders});
-      });
+    return;
+  }
+
+  if (isSearch) {
+    const searchProfile = profileManager.getSearchProfile();
+    if (searchProfile.id !== tabManager.activeProfileId) {
+      switchProfile(searchProfile.id, { openDefault: false });
+      activeTab = tabManager.getActiveTab();
     }
-    
-    currentView.webContents.loadURL(url);
-    views[url] = currentView;
+  }
 
-    currentView.webContents.setWindowOpenHandler(({ url }) => {
-      shell.openExternal(url); 
-      return { action: 'deny' };
-    });
+  if (isSearch && tabManager.shouldMirrorQueries()) {
+    tabManager.navigateSplitPanes(url);
+    if (options.composer) {
+      tabManager.getVisibleTabs().forEach(tab => fillComposerAfterLoad(tab.view.webContents, options.composer));
+    }
+    recordSearch(url, options.history, tabManager.getActiveTab());
+    return;
+  }
 
-    currentView.webContents.on('did-finish-load', () => {
-      currentView.webContents.executeJavaScript(`
-        (function removeNagScreens() {
-          const nagScreenSelectors = [
-            'div.max-w-\\\\[400px\\\\].rounded-xl',
-            'div.rounded-lg.p-md.animate-in.fade-in',
-            'div.flex.items-center.gap-sm',
-          ];
-          nagScreenSelectors.forEach((selector) => {
-            document.querySelectorAll(selector).forEach((el) => el.remove());
-          });
-          
-          // Add CSS to optimize rendering performance
-          const style = document.createElement('style');
-          style.textContent = 'img { will-change: auto !important; } .will-change-transform { will-change: auto !important; }';
-          document.head.appendChild(style);
-        })();
-      `);
-    });
+  if (isSearch) {
+    const openInNewTab = options.newTab !== undefined
+      ? options.newTab
+      : settings.get('openSearchesInNewTab', true);
 
-    currentView.webContents.on('did-start-loading', () => {
-      mainWindow.webContents.send('page-loading', true);
-    });
-    
-    currentView.webContents.on('did-stop-loading', () => {
-      mainWindow.webContents.send('page-loading', false);
-    });
+    if (openInNewTab || !activeTab) {
+      tabManager.openTab(url);
+    } else {
+      tabManager.navigateActiveTab(url);
+    }
+    const searchTab = tabManager.getActiveTab();
+    if (options.composer && searchTab && searchTab.view) {
+      fillComposerAfterLoad(searchTab.view.webContents, options.composer);
+    }
+    recordSearch(url, options.history, searchTab);
+    return;
   }
 
-  mainWindow.addBrowserView(currentView);
-  adjustViewBounds();
+  const existingTab = tabManager.findTabByHomeUrl(url);
+  if (existingTab) {
+    tabManager.activateTab(existingTab.id);
+  } else {
+    tabManager.openTab(url);
+  }
 }
 
-function cleanupUnusedResources() {
-  if (global.gc) {
-    global.gc();
-  }
-  
-  const currentTime = Date.now();
-  const viewUrls = Object.keys(views);
+/**
+ * Add a search to the history, following the tab it opened in for the thread URL
+ * @param {string} url - Search URL that was opened
+ * @param {Object} [history] - { query, text, template, endpointId, focus, source }
+ * @param {Object} [tab] - Tab the search loads in
+ */
+function recordSearch(url, history, tab) {
+  if (!history) return;
+
+  const webContents = tab && tab.view ? tab.view.webContents : null;
+  searchHistoryManager.record({ ...history, url }, webContents);
+}
+
+/**
+ * Carry out a link rule action for a link clicked in a tab
+ * @param {string} url
+ * @param {string} action - 'new-tab', 'current-view', 'external' or 'block'
+ * @param {Object} tab - Tab the link was clicked in
+ * @param {boolean} [activate=true] - Whether a new tab comes to the front
+ */
+function openLink(url, action, tab, activate = true) {
+  switch (action) {
+    case 'new-tab':
+      tabManager.openTab(url, { activate, profileId: tab.profileId });
+      break;
+    case 'current-view':
+      if (tab.view && !tab.view.webContents.isDestroyed()) {
+        tab.view.webContents.loadURL(url);
+      }
+      break;
+    case 'external':
+      shell.openExternal(url).catch(err => {
+        console.error('Failed to open external link:', err);
+      });
+      break;
+    default:
+      console.log(`Blocked link to ${url}`);
+  }
+}
+
+/**
+ * Give the peek overlay's view the same link handling and downloads as tabs
+ * @param {BrowserView} view
+ * @param {string} profileId
+ */
+function configurePeekView(view, profileId) {
+  const profile = profileManager.getProfile(profileId);
+  downloadManager.attachSession(view.webContents.session, profile && profile.partition ? profile.partition : 'default');
+
+  // Links open as if clicked in a tab of the same profile, "current view" stays in the overlay
+  const source = { profileId, view };
+
+  view.webContents.setWindowOpenHandler(({ url, disposition, features }) => {
+    const { action, activate } = linkRules.resolveWindowOpen(url, disposition, features);
+    openLink(url, action, source, activate);
+    return { action: 'deny' };
+  });
+
+  view.webContents.on('will-navigate', (event, navigationUrl) => {
+    const action = linkRules.resolveNavigation(navigationUrl, view.webContents.getURL());
+    if (action !== 'current-view') {
+      event.preventDefault();
+      openLink(navigationUrl, action, source);
+    }
+  });
+}
+
+/**
+ * Creates the BrowserView backing a tab and wires its events to the tab strip
+ * @param {string} url - Initial URL to load
+ * @param {Object} tab - Tab record owned by the TabManager
+ * @returns {BrowserView}
+ */
+function createBrowserView(url, tab) {
+  const profile = profileManager.getProfile(tab.profileId);
+  
+  const view = new BrowserView({
+    webPreferences: {
+      // Each profile gets its own persistent partition so logins stay separate
+      partition: profile && profile.partition ? profile.partition : undefined,
+      contextIsolation: true,
+      preload: path.join(__dirname, 'src', 'js', 'preload', 'preload_inject.js'),
+      backgroundThrottling: true, 
+      worldSafeExecuteJavaScript: true,
+      sandbox: false,
+      webgl: true, 
+      enableWebSQL: false,
+      // Memory optimization settings
+      disableBlinkFeatures: 'Accelerated2dCanvas', 
+      enableBlinkFeatures: 'PaintHolding', 
+    },
+  });
+  
+  if (view.webContents.setBackgroundThrottling) {
+    view.webContents.setBackgroundThrottling(true);
+  }
+  
+  downloadManager.attachSession(view.webContents.session, profile && profile.partition ? profile.partition : 'default');
+  
+  if (view.webContents.session && view.webContents.session.webRequest) {
+    view.webContents.session.webRequest.onBeforeSendHeaders((details, callback) => {
+      callback({cancel: false, requestHeaders: details.requestHeaders});
+    });
+  }
   
-  for (const url of viewUrls) {
-    if (views[url] === currentView) continue;
+  view.webContents.loadURL(url);
+
+  view.webContents.setWindowOpenHandler(({ url, disposition, features }) => {
+    const { action, activate } = linkRules.resolveWindowOpen(url, disposition, features);
+    openLink(url, action, tab, activate);
+    return { action: 'deny' };
+  });
+  
+  view.webContents.on('will-navigate', (event, navigationUrl) => {
+    const action = linkRules.resolveNavigation(navigationUrl, view.webContents.getURL());
+    if (action !== 'current-view') {
+      event.preventDefault();
+      openLink(navigationUrl, action, tab);
+    }
+  });
+
+  view.webContents.on('did-finish-load', () => {
+    loadFailureManager.handleSuccess(tab.id, view.webContents.getURL());
+    
+    view.webContents.executeJavaScript(`
+      (function removeNagScreens() {
+        const nagScreenSelectors = [
+          'div.max-w-\\\\[400px\\\\].rounded-xl',
+          'div.rounded-lg.p-md.animate-in.fade-in',
+          'div.flex.items-center.gap-sm',
+        ];
+        nagScreenSelectors.forEach((selector) => {
+          document.querySelectorAll(selector).forEach((el) => el.remove());
+        });
+        
+        // Add CSS to optimize rendering performance
+        const style = document.createElement('style');
+        style.textContent = 'img { will-change: auto !important; } .will-change-transform { will-change: auto !important; }';
+        document.head.appendChild(style);
+      })();
+    `);
+  });
+
+  view.webContents.on('before-input-event', (event, input) => {
+    if (input.type !== 'keyDown') return;
+    
+    const hasModifier = (isMac ? input.meta : input.control) && !input.alt;
     
-    if (!views[url].lastAccessTime || (currentTime - views[url].lastAccessTime > 300000)) {
-      if (views[url].webContents) {
-        views[url].webContents.destroy();
+    if (hasModifier && input.key.toLowerCase() === 'f') {
+      event.preventDefault();
+      openFindBar();
+      return;
+    }
+    
+    if (hasModifier && ['=', '+', '-', '0'].includes(input.key)) {
+      event.preventDefault();
+      if (input.key === '0') {
+        zoomManager.resetZoom(view.webContents);
+      } else if (input.key === '-') {
+        zoomManager.zoomOut(view.webContents);
+      } else {
+        zoomManager.zoomIn(view.webContents);
       }
-      delete views[url];
+      sendZoomUpdate();
+      return;
     }
-  }
+    
+    if (input.key === 'Escape' && findBarVisible) {
+      event.preventDefault();
+      closeFindBar();
+      return;
+    }
+    
+    if (!input.alt || input.control || input.meta || input.shift) return;
+    
+    if (input.key === 'ArrowLeft') {
+      event.preventDefault();
+      tabManager.goBack();
+    } else if (input.key === 'ArrowRight') {
+      event.preventDefault();
+      tabManager.goForward();
+    }
+  });
+
+  // Ctrl+scroll and pinch gestures
+  view.webContents.on('zoom-changed', (event, direction) => {
+    if (direction === 'in') {
+      zoomManager.zoomIn(view.webContents);
+    } else {
+      zoomManager.zoomOut(view.webContents);
+    }
+    sendZoomUpdate();
+  });
+
+  view.webContents.on('found-in-page', (event, result) => {
+    if (tab.id === tabManager.activeTabId && mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('find-result', {
+        activeMatchOrdinal: result.activeMatchOrdinal,
+        matches: result.matches
+      });
+    }
+  });
+
+  view.webContents.on('did-start-loading', () => {
+    tabManager.updateTab(tab.id, { isLoading: true });
+  });
+  
+  view.webContents.on('did-stop-loading', () => {
+    tabManager.updateTab(tab.id, { isLoading: false });
+  });
+
+  view.webContents.on('did-fail-load', (event, errorCode, errorDescription, validatedURL, isMainFrame) => {
+    if (!isMainFrame) return;
+    
+    const reason = loadFailureManager.describeError(errorCode, errorDescription);
+    loadFailureManager.handleFailure(tab, validatedURL, reason, errorCode);
+  });
+
+  view.webContents.on('render-process-gone', (event, details) => {
+    if (details.reason === 'clean-exit') return;
+    
+    console.error(`Renderer for tab ${tab.id} is gone: ${details.reason}`);
+    loadFailureManager.handleFailure(tab, tab.url, `The page stopped working (${details.reason}).`);
+  });
+
+  view.webContents.once('destroyed', () => {
+    loadFailureManager.forgetTab(tab.id);
+  });
+
+  view.webContents.on('focus', () => {
+    tabManager.focusSplitPane(tab.id);
+  });
+
+  view.webContents.on('page-title-updated', (event, title) => {
+    tabManager.updateTab(tab.id, { title });
+  });
+
+  view.webContents.on('did-navigate', (event, navigatedUrl) => {
+    zoomManager.applyZoom(view.webContents);
+    // The error page stands in for the failed URL, which stays on the tab
+    if (!loadFailureManager.isErrorPageUrl(navigatedUrl)) {
+      tabManager.updateTab(tab.id, { url: navigatedUrl });
+    }
+  });
+
+  view.webContents.on('did-navigate-in-page', (event, navigatedUrl, isMainFrame) => {
+    if (isMainFrame) {
+      tabManager.updateTab(tab.id, { url: navigatedUrl });
+    }
+  });
+
+  return view;
 }
 
 function createTray() {
@@ -675,51 +1356,12 @@ function createTray() {
     tray = new Tray(iconPath);
     tray.setToolTip('Perplexity AI');
 
-    const contextMenu = Menu.buildFromTemplate([
-      { 
-        label: 'Quick Search', 
-        click: () => {
-          if (searchService) {
-            searchService.searchSelectedText();
-          }
-        }
-      },
-      { 
-        label: 'Show App', 
-        click: () => {
-          if (mainWindow) {
-            mainWindow.show();
-            mainWindow.focus();
-            setTimeout(() => adjustViewBounds(), 100);
-          }
-        } 
-      },
-      { type: 'separator' },
-      {
-        label: 'Disable Hardware Acceleration',
-        type: 'checkbox',
-        checked: settings.get('disableHardwareAcceleration', false),
-        click: (menuItem) => {
-          settings.set('disableHardwareAcceleration', menuItem.checked);
-          dialog.showMessageBox(mainWindow, {
-            type: 'info',
-            title: 'Restart Required',
-            message: 'Please restart the application for this change to take effect.',
-            buttons: ['OK']
-          });
-        }
-      },
-      { type: 'separator' },
-      { 
-        label: 'Quit', 
-        click: () => {
-          app.isQuitting = true;
-          app.quit();
-        } 
-      }
-    ]);
+    updateTrayMenu();
     
-    tray.setContextMenu(contextMenu);
+    // Electron only reports drops on the tray icon on macOS, the Linux and
+    // Windows trays never deliver them
+    tray.on('drop-files', (event, files) => askAboutFiles(files));
+    tray.on('drop-text', (event, text) => askAboutDroppedText(text));
     
     tray.on('click', () => {
       if (mainWindow && (mainWindow.isMinimized() || !mainWindow.isVisible())) {
@@ -734,6 +1376,94 @@ function createTray() {
   }
 }
 
+function getProfileMenuItems() {
+  return profileManager.getProfiles().map(profile => ({
+    label: profile.name,
+    type: 'radio',
+    checked: profile.id === profileManager.activeProfileId,
+    click: () => switchProfile(profile.id)
+  }));
+}
+
+function updateTrayMenu() {
+  if (!tray) return;
+
+  const contextMenu = Menu.buildFromTemplate([
+    { 
+      label: 'Quick Search', 
+      click: () => {
+        if (searchService) {
+          searchService.searchSelectedText({ source: 'tray' });
+        }
+      }
+    },
+    { 
+      label: 'Show App', 
+      click: () => {
+        if (mainWindow) {
+          mainWindow.show();
+          mainWindow.focus();
+          setTimeout(() => adjustViewBounds(), 100);
+        }
+      } 
+    },
+    {
+      label: 'Ask About a Screenshot',
+      click: () => {
+        if (screenCaptureManager) {
+          screenCaptureManager.start();
+        }
+      }
+    },
+    {
+      label: 'Search History',
+      click: () => {
+        if (searchHistoryManager) {
+          searchHistoryManager.showHistoryPanel();
+        }
+      }
+    },
+    {
+      label: 'Profile',
+      submenu: profileManager ? getProfileMenuItems() : []
+    },
+    {
+      label: 'Pause Clipboard Suggestions',
+      type: 'checkbox',
+      visible: clipboardWatcher ? clipboardWatcher.isEnabled() : false,
+      checked: clipboardWatcher ? clipboardWatcher.isPaused() : false,
+      click: (menuItem) => {
+        clipboardWatcher.setPaused(menuItem.checked);
+      }
+    },
+    { type: 'separator' },
+    {
+      label: 'Disable Hardware Acceleration',
+      type: 'checkbox',
+      checked: settings.get('disableHardwareAcceleration', false),
+      click: (menuItem) => {
+        settings.set('disableHardwareAcceleration', menuItem.checked);
+        dialog.showMessageBox(mainWindow, {
+          type: 'info',
+          title: 'Restart Required',
+          message: 'Please restart the application for this change to take effect.',
+          buttons: ['OK']
+        });
+      }
+    },
+    { type: 'separator' },
+    { 
+      label: 'Quit', 
+      click: () => {
+        app.isQuitting = true;
+        app.quit();
+      } 
+    }
+  ]);
+  
+  tray.setContextMenu(contextMenu);
+}
+
 ipcMain.on('remind-tomorrow-update', () => {
   const almostOneDayAgo = Date.now() - (23 * 60 * 60 * 1000);
   lastUpdateCheck = almostOneDayAgo;
@@ -919,7 +1649,12 @@ app.on('second-instance', (event, commandLine, workingDirectory) => {
     }
     
     setTimeout(() => {
-      switchView(searchInfo.searchUrl);
+      switchView(searchInfo.searchUrl, {
+        search: searchInfo.isSearch,
+        newTab: searchInfo.newTab,
+        composer: searchInfo.composer,
+        history: searchInfo.history
+      });
     }, 100);
   } else {
     if (mainWindow) {
@@ -969,12 +1704,264 @@ ipcMain.on('switch-ai-tool', (event, url) => {
   }
 });
 
+ipcMain.handle('get-endpoints', () => endpointRegistry.getEndpoints());
+
+ipcMain.handle('get-prefix-templates', () =>
+  searchTemplates.getVisibleTemplates().map(({ id, name, icon, query }) => ({ id, name, icon, query })));
+
+ipcMain.handle('reset-search-templates', () => {
+  searchTemplates.resetTemplates();
+  reattachShortcuts();
+  return searchTemplates.getVisibleTemplates();
+});
+
+ipcMain.on('open-endpoint', (event, endpointId) => {
+  openEndpoint(endpointId);
+});
+
+ipcMain.on('get-tabs', (event) => {
+  if (tabManager) {
+    event.sender.send('tabs-updated', tabManager.serialize());
+  }
+});
+
+ipcMain.on('new-tab', () => {
+  if (tabManager) {
+    tabManager.openTab(getProfileDefaultUrl(tabManager.activeProfileId));
+  }
+});
+
+ipcMain.on('activate-tab', (event, tabId) => {
+  if (tabManager) {
+    tabManager.activateTab(tabId);
+  }
+});
+
+ipcMain.on('close-tab', (event, tabId) => {
+  if (tabManager) {
+    tabManager.closeTab(tabId);
+  }
+});
+
+ipcMain.on('move-tab', (event, { tabId, index }) => {
+  if (tabManager) {
+    tabManager.moveTab(tabId, index);
+  }
+});
+
+ipcMain.handle('get-profiles', () => {
+  return {
+    profiles: profileManager.getProfiles(),
+    activeProfileId: profileManager.activeProfileId,
+    searchProfileId: profileManager.searchProfileId
+  };
+});
+
+ipcMain.handle('create-profile', (event, { name, defaultAI }) => {
+  const profile = profileManager.createProfile(name, defaultAI);
+  if (profile) {
+    sendProfilesUpdate();
+    updateTrayMenu();
+  }
+  return profile;
+});
+
+ipcMain.handle('update-profile', (event, { profileId, changes }) => {
+  const profile = profileManager.updateProfile(profileId, changes);
+  if (profile) {
+    sendProfilesUpdate();
+    updateTrayMenu();
+  }
+  return profile;
+});
+
+ipcMain.handle('delete-profile', async (event, profileId) => {
+  if (profileId === ProfileManager.DEFAULT_PROFILE_ID) return false;
+  
+  if (profileManager.activeProfileId === profileId) {
+    switchProfile(ProfileManager.DEFAULT_PROFILE_ID);
+  }
+  tabManager.closeProfileTabs(profileId);
+  
+  const deleted = await profileManager.deleteProfile(profileId);
+  sendProfilesUpdate();
+  updateTrayMenu();
+  return deleted;
+});
+
+ipcMain.on('set-search-profile', (event, profileId) => {
+  profileManager.setSearchProfile(profileId);
+});
+
+ipcMain.on('switch-profile', (event, profileId) => {
+  switchProfile(profileId);
+});
+
+ipcMain.on('show-profile-menu', () => {
+  const profileMenu = Menu.buildFromTemplate([
+    ...getProfileMenuItems(),
+    { type: 'separator' },
+    {
+      label: 'Manage Profiles...',
+      click: () => {
+        detachAllShortcuts();
+        openSettingsWindow();
+      }
+    }
+  ]);
+  profileMenu.popup({ window: mainWindow });
+});
+
+/**
+ * Tell the sidebar the active view's zoom so it can show the indicator
+ */
+function sendZoomUpdate() {
+  if (!mainWindow || mainWindow.isDestroyed() || !tabManager) return;
+  
+  const activeView = tabManager.getActiveView();
+  if (!activeView || activeView.webContents.isDestroyed()) return;
+  
+  const factor = activeView.webContents.getZoomFactor();
+  mainWindow.webContents.send('zoom-updated', {
+    percent: Math.round(factor * 100),
+    isDefault: Math.abs(factor - zoomManager.getDefaultZoom()) < 0.001
+  });
+}
+
+/**
+ * Show the find bar and move keyboard focus to its input
+ */
+function openFindBar() {
+  if (!mainWindow || mainWindow.isDestroyed()) return;
+  
+  findBarVisible = true;
+  adjustViewBounds();
+  mainWindow.webContents.focus();
+  mainWindow.webContents.send('find-bar-open');
+}
+
+function closeFindBar() {
+  if (!findBarVisible) return;
+  
+  findBarVisible = false;
+  tabManager.stopFindInPage();
+  adjustViewBounds();
+  
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('find-bar-closed');
+  }
+  
+  const activeView = tabManager.getActiveView();
+  if (activeView) {
+    activeView.webContents.focus();
+  }
+}
+
+ipcMain.on('zoom-in', () => {
+  if (tabManager) {
+    zoomManager.zoomIn(tabManager.getActiveView()?.webContents);
+    sendZoomUpdate();
+  }
+});
+
+ipcMain.on('zoom-out', () => {
+  if (tabManager) {
+    zoomManager.zoomOut(tabManager.getActiveView()?.webContents);
+    sendZoomUpdate();
+  }
+});
+
+ipcMain.on('reset-zoom', () => {
+  if (tabManager) {
+    zoomManager.resetZoom(tabManager.getActiveView()?.webContents);
+    sendZoomUpdate();
+  }
+});
+
+ipcMain.on('open-find-bar', () => {
+  openFindBar();
+});
+
+ipcMain.on('close-find-bar', () => {
+  closeFindBar();
+});
+
+ipcMain.on('find-in-page', (event, { text, forward, matchCase, findNext }) => {
+  if (tabManager) {
+    tabManager.findInActiveTab(text, { forward, matchCase, findNext });
+  }
+});
+
+ipcMain.on('navigate-back', () => {
+  if (tabManager) {
+    tabManager.goBack();
+  }
+});
+
+ipcMain.on('navigate-forward', () => {
+  if (tabManager) {
+    tabManager.goForward();
+  }
+});
+
+ipcMain.on('show-history-menu', () => {
+  if (!tabManager) return;
+  
+  const entries = tabManager.getBackHistory();
+  if (entries.length === 0) return;
+  
+  const historyMenu = Menu.buildFromTemplate(entries.map(entry => ({
+    label: entry.title || entry.url,
+    click: () => tabManager.goToHistoryIndex(entry.index)
+  })));
+  historyMenu.popup({ window: mainWindow });
+});
+
+ipcMain.on('toggle-split-view', () => {
+  if (tabManager) {
+    toggleSplitView();
+  }
+});
+
+ipcMain.on('swap-split-focus', () => {
+  if (tabManager) {
+    tabManager.swapSplitFocus();
+  }
+});
+
+ipcMain.on('set-split-ratio', (event, { ratio, persist }) => {
+  if (tabManager) {
+    tabManager.setSplitRatio(ratio, persist);
+  }
+});
+
+ipcMain.on('toggle-split-orientation', () => {
+  if (tabManager) {
+    tabManager.toggleSplitOrientation();
+  }
+});
+
+ipcMain.on('toggle-split-mirror', () => {
+  if (tabManager) {
+    tabManager.toggleMirrorQueries();
+  }
+});
+
 ipcMain.on('set-settings', (event, data) => {
   if (data.shortcuts) {
     shortcuts = data.shortcuts;
     settings.set('shortcuts', shortcuts);
   }
   
+  if (data.endpoints) {
+    endpointRegistry.setEndpoints(data.endpoints);
+    sendEndpointsUpdate();
+  }
+  
+  if (data.searchEndpoint) {
+    endpointRegistry.setDefaultSearchEndpoint(data.searchEndpoint);
+  }
+  
   if (data.defaultAI) {
     settings.set('defaultAI', data.defaultAI);
   }
@@ -983,6 +1970,100 @@ ipcMain.on('set-settings', (event, data) => {
     settings.set('disableHardwareAcceleration', data.disableHardwareAcceleration);
   }
   
+  if (data.openSearchesInNewTab !== undefined) {
+    settings.set('openSearchesInNewTab', data.openSearchesInNewTab);
+  }
+  
+  if (data.prefixSearchPeek !== undefined) {
+    settings.set('prefixSearchPeek', data.prefixSearchPeek);
+  }
+  
+  if (data.searchTemplates) {
+    searchTemplates.setTemplates(data.searchTemplates);
+  }
+  
+  if (data.searchUrlLengthLimit) {
+    searchTemplates.setUrlLengthLimit(data.searchUrlLengthLimit);
+  }
+  
+  if (data.longTextWarnLength) {
+    searchTemplates.setLongTextWarnLength(data.longTextWarnLength);
+  }
+  
+  if (data.longTextAutoSubmit !== undefined) {
+    searchTemplates.setLongTextAutoSubmit(data.longTextAutoSubmit);
+  }
+  
+  if (data.memoryBudgetMb !== undefined && viewLifecycleManager) {
+    viewLifecycleManager.setMemoryBudgetMb(data.memoryBudgetMb);
+  }
+  
+  if (data.defaultZoom !== undefined) {
+    zoomManager.setDefaultZoom(data.defaultZoom);
+    if (tabManager) {
+      tabManager.tabs
+        .filter(tab => tab.view)
+        .forEach(tab => zoomManager.applyZoom(tab.view.webContents));
+    }
+    sendZoomUpdate();
+  }
+  
+  if (data.downloadFolder && downloadManager) {
+    downloadManager.setDownloadFolder(data.downloadFolder);
+  }
+  
+  if (data.downloadAskEachTime !== undefined && downloadManager) {
+    downloadManager.setAskEachTime(data.downloadAskEachTime);
+  }
+  
+  if (data.linkRules) {
+    linkRules.setRules(data.linkRules);
+  }
+  
+  if (data.linkDefaultAction) {
+    linkRules.setDefaultAction(data.linkDefaultAction);
+  }
+  
+  if (data.linkModifierOverride !== undefined) {
+    linkRules.setModifierOverride(data.linkModifierOverride);
+  }
+  
+  if (data.selectionBackends) {
+    selectionProvider.setBackends(data.selectionBackends);
+  }
+  
+  if (data.searchHistoryRetentionDays !== undefined && searchHistoryManager) {
+    searchHistoryManager.setRetentionDays(data.searchHistoryRetentionDays);
+  }
+  
+  if (data.searchHistoryPaused !== undefined && searchHistoryManager) {
+    searchHistoryManager.setPaused(data.searchHistoryPaused);
+  }
+  
+  if (clipboardWatcher) {
+    if (data.clipboardWatchMinLength !== undefined || data.clipboardWatchMaxLength !== undefined) {
+      clipboardWatcher.setLengthLimits({ min: data.clipboardWatchMinLength, max: data.clipboardWatchMaxLength });
+    }
+    if (data.clipboardWatchIgnoredApps) {
+      clipboardWatcher.setIgnoredApps(data.clipboardWatchIgnoredApps);
+    }
+    if (data.clipboardWatchIgnorePatterns) {
+      clipboardWatcher.setIgnorePatterns(data.clipboardWatchIgnorePatterns);
+    }
+    if (data.clipboardWatchEnabled !== undefined) {
+      clipboardWatcher.setEnabled(data.clipboardWatchEnabled);
+      updateTrayMenu();
+    }
+  }
+  
+  if (data.screenshotPrompt !== undefined && screenCaptureManager) {
+    screenCaptureManager.setDefaultPrompt(data.screenshotPrompt);
+  }
+  
+  if (data.sessionRestoreMode && sessionManager) {
+    sessionManager.setRestoreMode(data.sessionRestoreMode);
+  }
+  
   if (data.autoStartEnabled !== undefined) {
     configureAutoStart(data.autoStartEnabled);
   }
@@ -994,7 +2075,34 @@ ipcMain.on('get-settings', (event) => {
   const data = {
     shortcuts,
     defaultAI: settings.get('defaultAI', 'https://perplexity.ai'),
+    endpoints: endpointRegistry.getEndpoints(),
+    searchEndpoint: endpointRegistry.getDefaultSearchEndpoint().id,
     disableHardwareAcceleration: settings.get('disableHardwareAcceleration', false),
+    openSearchesInNewTab: settings.get('openSearchesInNewTab', true),
+    prefixSearchPeek: settings.get('prefixSearchPeek', false),
+    memoryBudgetMb: settings.get('memoryBudgetMb', ViewLifecycleManager.DEFAULT_MEMORY_BUDGET_MB),
+    searchTemplates: searchTemplates.getVisibleTemplates(),
+    templateIcons: SearchTemplateEngine.ICONS,
+    searchUrlLengthLimit: searchTemplates.getUrlLengthLimit(),
+    longTextWarnLength: searchTemplates.getLongTextWarnLength(),
+    longTextAutoSubmit: searchTemplates.getLongTextAutoSubmit(),
+    screenshotPrompt: screenCaptureManager ? screenCaptureManager.getDefaultPrompt() : '',
+    sessionRestoreMode: sessionManager ? sessionManager.getRestoreMode() : 'ask',
+    defaultZoom: zoomManager.getDefaultZoom(),
+    downloadFolder: downloadManager ? downloadManager.getDownloadFolder() : app.getPath('downloads'),
+    downloadAskEachTime: downloadManager ? downloadManager.getAskEachTime() : false,
+    linkRules: linkRules.getRules(),
+    linkDefaultAction: linkRules.getDefaultAction(),
+    linkModifierOverride: linkRules.getModifierOverride(),
+    selectionBackends: selectionProvider.getBackends(),
+    searchHistoryRetentionDays: searchHistoryManager ? searchHistoryManager.getRetentionDays() : SearchHistoryManager.DEFAULT_RETENTION_DAYS,
+    searchHistoryPaused: searchHistoryManager ? searchHistoryManager.isPaused() : false,
+    clipboardWatchEnabled: clipboardWatcher ? clipboardWatcher.isEnabled() : false,
+    clipboardWatchMinLength: clipboardWatcher ? clipboardWatcher.getLengthLimits().min : undefined,
+    clipboardWatchMaxLength: clipboardWatcher ? clipboardWatcher.getLengthLimits().max : undefined,
+    clipboardWatchIgnoredApps: clipboardWatcher ? clipboardWatcher.getIgnoredApps() : [],
+    clipboardWatchIgnorePatterns: clipboardWatcher ? clipboardWatcher.getIgnorePatterns() : [],
+    clipboardWatchCanDetectApps: clipboardWatcher ? clipboardWatcher.canDetectApps() : false,
     autoStartEnabled: autoStartEnabled
   };
   event.sender.send('settings', data);
@@ -1011,6 +2119,11 @@ ipcMain.handle('get-autostart-status', () => {
 
 ipcMain.handle('get-app-version', () => app.getVersion());
 
+ipcMain.handle('get-selection-backend', () => selectionProvider.getSessionTools());
+
+// Runs a capture like a search would, for the diagnostic in the settings window
+ipcMain.handle('test-selection-capture', () => selectionProvider.capture());
+
 ipcMain.on('open-external', (event, url) => {
   shell.openExternal(url);
 });
@@ -1033,34 +2146,165 @@ ipcMain.on('close-update-window', () => {
   }
 });
 
-ipcMain.on('perform-prefix-search', (event, data) => {
+/**
+ * Search in the peek overlay. Peek answers next to whatever the user is
+ * doing, the main window stays put.
+ * @param {string} text
+ * @param {Object} searchOptions - Template options for searchTemplates.build()
+ * @param {string} source - Where the search came from, for the history
+ * @param {Object} [anchorBounds] - Bounds to place the overlay next to
+ */
+async function peekSearch(text, searchOptions, source, anchorBounds = null) {
+  const search = searchTemplates.build(text, searchOptions);
+  const composer = search && search.composer ? await confirmLongText(search.composer) : null;
+  if (!search || (search.composer && !composer)) return;
+
+  const webContents = peekManager.show(search.url, profileManager.getSearchProfile(), anchorBounds);
+  if (composer) {
+    fillComposerAfterLoad(webContents, composer);
+  }
+  searchHistoryManager.record({
+    query: search.query,
+    text,
+    template: search.template,
+    endpointId: search.endpointId,
+    focus: search.focus,
+    source,
+    url: search.url
+  }, webContents);
+}
+
+/**
+ * Send text with a template applied to Perplexity Labs
+ */
+function labsSearch(text, templateId, source) {
+  const templateData = searchTemplates.getTemplate(templateId) || searchTemplates.getTemplate(SearchTemplateEngine.DEFAULT_TEMPLATE_ID);
+  const query = searchTemplates.render(templateData.query, { text: text.trim() });
+  sendToLabs(query);
+  searchHistoryManager.record({ query, text, template: templateData.id, source });
+}
+
+/**
+ * Search the selected text with a template from the template's own shortcut
+ * @param {Object} template - Template with a shortcut target of 'current',
+ *   'new', 'labs' or 'peek'
+ */
+async function searchSelectionWithTemplate(template) {
+  const text = await searchService.getSelectedText();
+  if (!text) {
+    searchService.notifyNoSelection();
+    return;
+  }
+
+  switch (template.shortcut.target) {
+    case 'peek':
+      await peekSearch(text, { template: template.id }, 'shortcut');
+      return;
+    case 'labs':
+      labsSearch(text, template.id, 'shortcut');
+      showMainWindow();
+      return;
+    default:
+      searchService.performSearch(text, {
+        template: template.id,
+        thread: template.shortcut.target === 'new' ? 'new' : 'continue',
+        source: 'shortcut'
+      });
+  }
+}
+
+ipcMain.on('perform-prefix-search', async (event, data) => {
+  const { text, invertPeek, ...searchOptions } = data;
+  const usePeek = settings.get('prefixSearchPeek', false) !== (invertPeek === true);
+  let anchorBounds = null;
+  
   if (prefixSearchWindow && !prefixSearchWindow.isDestroyed()) {
+    anchorBounds = prefixSearchWindow.getBounds();
     prefixSearchWindow.close();
   }
   
+  if (usePeek) {
+    await peekSearch(text, searchOptions, 'prefix', anchorBounds);
+    return;
+  }
+  
   if (searchService) {
-    const { text, prefix } = data;
-    searchService.performSearch(text, prefix);
+    searchService.performSearch(text, { ...searchOptions, source: 'prefix' });
     
     if (mainWindow && (mainWindow.isMinimized() || !mainWindow.isVisible())) {
       mainWindow.show();
       mainWindow.focus();
       setTimeout(() => adjustViewBounds(), 100);
     }
-    
-    setTimeout(() => {
-      clipboard.writeText(originalClipboardContent);
-    }, 1000);
   }
 });
 
+ipcMain.handle('get-quick-ask-data', () => ({
+  templates: searchTemplates.getVisibleTemplates().map(({ id, name }) => ({ id, name })),
+  history: settings.get('quickAskHistory', []),
+  openSearchesInNewTab: settings.get('openSearchesInNewTab', true)
+}));
+
+// Filled in here so {lang}, {clipboard} and {date} show what will be sent
+ipcMain.handle('render-quick-ask-preview', (event, { text, template }) => {
+  const templateData = searchTemplates.getTemplate(template);
+  if (!templateData || !text || !text.trim()) return '';
+
+  return searchTemplates.render(templateData.query, { text: text.trim() });
+});
+
+/**
+ * A query typed into the quick-ask launcher
+ * target is 'current', 'new' or 'labs'
+ */
+ipcMain.on('submit-quick-ask', (event, { text, template, target }) => {
+  hideQuickAskWindow();
+  if (!text || !text.trim()) return;
+
+  addQuickAskHistory(text.trim());
+
+  if (target === 'labs') {
+    labsSearch(text, template, 'quick-ask');
+  } else {
+    const search = searchTemplates.build(text, { template });
+    if (!search) return;
+    switchView(search.url, {
+      search: true,
+      newTab: target === 'new',
+      composer: search.composer,
+      history: {
+        query: search.query,
+        text,
+        template: search.template,
+        endpointId: search.endpointId,
+        focus: search.focus,
+        source: 'quick-ask'
+      }
+    });
+  }
+
+  showMainWindow();
+});
+
+ipcMain.on('close-quick-ask', () => {
+  hideQuickAskWindow();
+});
+
+ipcMain.on('peek-toggle-pin', () => {
+  peekManager.togglePin();
+});
+
+ipcMain.on('peek-promote', () => {
+  peekManager.promote();
+});
+
+ipcMain.on('peek-dismiss', () => {
+  peekManager.dismiss();
+});
+
 ipcMain.on('close-prefix-search', () => {
   if (prefixSearchWindow && !prefixSearchWindow.isDestroyed()) {
     prefixSearchWindow.close();
-    
-    setTimeout(() => {
-      clipboard.writeText(originalClipboardContent);
-    }, 500);
   }
 });
 
@@ -1093,6 +2337,129 @@ ipcMain.on('close-notification', () => {
 });
 
 
+ipcMain.on('retry-failed-load', (event) => {
+  const tab = tabManager ? tabManager.findTabByWebContents(event.sender) : null;
+  if (tab) {
+    loadFailureManager.retry(tab.id);
+  }
+});
+
+ipcMain.on('open-downloads-panel', () => {
+  downloadManager.showDownloadsPanel();
+});
+
+ipcMain.on('close-downloads-panel', () => {
+  if (downloadManager.panelWindow) {
+    downloadManager.closePanelWindow();
+  }
+});
+
+ipcMain.on('open-download', (event, id) => {
+  downloadManager.openDownload(id);
+});
+
+ipcMain.on('show-download-in-folder', (event, id) => {
+  downloadManager.showInFolder(id);
+});
+
+ipcMain.on('retry-download', (event, id) => {
+  downloadManager.retryDownload(id);
+});
+
+ipcMain.on('cancel-download', (event, id) => {
+  downloadManager.cancelDownload(id);
+});
+
+ipcMain.on('remove-download', (event, id) => {
+  downloadManager.removeDownload(id);
+});
+
+ipcMain.on('clear-finished-downloads', () => {
+  downloadManager.clearFinished();
+});
+
+ipcMain.handle('choose-download-folder', async (event) => {
+  const parentWindow = BrowserWindow.fromWebContents(event.sender);
+  const { canceled, filePaths } = await dialog.showOpenDialog(parentWindow, {
+    title: 'Download Folder',
+    defaultPath: downloadManager.getDownloadFolder(),
+    properties: ['openDirectory', 'createDirectory']
+  });
+  return canceled || filePaths.length === 0 ? null : filePaths[0];
+});
+
+ipcMain.on('open-history-panel', () => {
+  searchHistoryManager.showHistoryPanel();
+});
+
+ipcMain.on('close-history-panel', () => {
+  if (searchHistoryManager.panelWindow) {
+    searchHistoryManager.closePanelWindow();
+  }
+});
+
+// Runs the entry's text through its template again, as a new search
+ipcMain.on('rerun-search', (event, id) => {
+  const entry = searchHistoryManager.getEntry(id);
+  if (!entry) return;
+
+  searchService.performSearch(entry.text, {
+    template: entry.template || undefined,
+    endpointId: entry.endpointId || undefined,
+    focus: entry.focus || undefined,
+    source: 'history'
+  });
+});
+
+ipcMain.on('open-search-thread', (event, id) => {
+  const entry = searchHistoryManager.getEntry(id);
+  if (!entry || !tabManager) return;
+
+  tabManager.openTab(entry.threadUrl || entry.url);
+  showMainWindow();
+});
+
+ipcMain.on('delete-search-history', (event, ids) => {
+  searchHistoryManager.deleteEntries(Array.isArray(ids) ? ids : [ids]);
+});
+
+ipcMain.on('clear-search-history', () => {
+  searchHistoryManager.clear();
+});
+
+ipcMain.on('set-search-history-paused', (event, paused) => {
+  searchHistoryManager.setPaused(paused);
+});
+
+ipcMain.on('drop-files', (event, filePaths) => {
+  askAboutFiles(Array.isArray(filePaths) ? filePaths : []);
+});
+
+ipcMain.on('drop-text', (event, text) => {
+  askAboutDroppedText(text);
+});
+
+ipcMain.on('screen-capture-submit', (event, { region, prompt }) => {
+  screenCaptureManager.finish(region, prompt);
+});
+
+ipcMain.on('screen-capture-cancel', () => {
+  screenCaptureManager.closeOverlay();
+});
+
+ipcMain.on('clipboard-suggestion-search', (event, templateId) => {
+  clipboardWatcher.search(templateId);
+});
+
+ipcMain.on('clipboard-suggestion-dismiss', () => {
+  clipboardWatcher.closeToast();
+});
+
+ipcMain.on('set-clipboard-watch-paused', (event, paused) => {
+  clipboardWatcher.setPaused(paused);
+  updateTrayMenu();
+});
+
 ipcMain.handle('get-notification-content', async (event, id, fromPanel = false) => {
   if (notificationManager) {
     if (fromPanel) {
@@ -1106,7 +2473,7 @@ ipcMain.handle('get-notification-content', async (event, id, fromPanel = false)
 
 ipcMain.on('perform-quick-search', (event, searchText) => {
   if (searchService) {
-    searchService.performSearch(searchText);
+    searchService.performSearch(searchText, { source: 'clipboard' });
   }
 });
 
@@ -1194,7 +2561,12 @@ app.whenReady().then(() => {
     
     if (searchInfo) {
       setTimeout(() => {
-        switchView(searchInfo.searchUrl);
+        switchView(searchInfo.searchUrl, {
+          search: searchInfo.isSearch,
+          newTab: searchInfo.newTab,
+          composer: searchInfo.composer,
+          history: searchInfo.history
+        });
       }, 500);
     }
 
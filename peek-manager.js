@@ -0,0 +1,175 @@
+// peek-manager.js
+const { BrowserWindow, BrowserView } = require('electron');
+const path = require('path');
+
+const TOOLBAR_HEIGHT = 40;
+const DEFAULT_WIDTH = 560;
+const DEFAULT_HEIGHT = 640;
+
+class PeekManager {
+  /**
+   * @param {Object} options
+   * @param {Function} options.configureView - Called with (view, profileId) to set up
+   *   link handling and downloads like a tab's view
+   * @param {Function} options.promoteToTab - Called with (url, profileId) to open the
+   *   answer as a tab in the main window
+   */
+  constructor({ configureView, promoteToTab }) {
+    this.configureView = configureView;
+    this.promoteToTab = promoteToTab;
+    this.window = null;
+    this.view = null;
+    this.profileId = null;
+    this.isPinned = false;
+  }
+
+  /**
+   * Show an answer in the overlay without taking focus from the app the
+   * user is working in. Reuses the overlay if one is already open.
+   * @param {string} url - Search URL to load
+   * @param {Object} profile - Profile whose session the answer loads in
+   * @param {Object} [anchorBounds] - Bounds of the prefix popup the overlay grows from
+   * @returns {WebContents} Contents the answer loads in
+   */
+  show(url, profile, anchorBounds) {
+    if (!this.window || this.window.isDestroyed()) {
+      this.createWindow(anchorBounds);
+    }
+
+    // A view belongs to one session, switching profiles needs a new one
+    if (!this.view || this.profileId !== profile.id) {
+      this.replaceView(profile);
+    }
+
+    this.view.webContents.loadURL(url);
+    this.sendState();
+
+    if (!this.window.isVisible()) {
+      this.window.showInactive();
+    }
+    return this.view.webContents;
+  }
+
+  createWindow(anchorBounds) {
+    const bounds = anchorBounds
+      ? {
+          x: anchorBounds.x,
+          y: anchorBounds.y,
+          width: Math.max(anchorBounds.width, DEFAULT_WIDTH),
+          height: Math.max(anchorBounds.height, DEFAULT_HEIGHT)
+        }
+      : { width: DEFAULT_WIDTH, height: DEFAULT_HEIGHT };
+
+    this.window = new BrowserWindow({
+      ...bounds,
+      minWidth: 360,
+      minHeight: 240,
+      frame: false,
+      resizable: true,
+      alwaysOnTop: true,
+      skipTaskbar: true,
+      show: false,
+      webPreferences: {
+        preload: path.join(__dirname, 'src', 'js', 'preload', 'preload_peek.js'),
+        contextIsolation: true,
+        nodeIntegration: false
+      }
+    });
+
+    this.window.loadFile('peek-overlay.html');
+    this.window.webContents.on('did-finish-load', () => this.sendState());
+    this.isPinned = false;
+
+    this.window.on('resize', () => this.layoutView());
+
+    // An unpinned overlay goes away once the user clicked into it and left again
+    this.window.on('blur', () => {
+      if (!this.isPinned) {
+        this.dismiss();
+      }
+    });
+
+    this.window.on('closed', () => {
+      this.destroyView();
+      this.window = null;
+    });
+  }
+
+  replaceView(profile) {
+    this.destroyView();
+
+    this.view = new BrowserView({
+      webPreferences: {
+        partition: profile.partition || undefined,
+        contextIsolation: true,
+        preload: path.join(__dirname, 'src', 'js', 'preload', 'preload_inject.js'),
+        sandbox: false
+      }
+    });
+    this.profileId = profile.id;
+
+    this.configureView(this.view, profile.id);
+    this.view.webContents.on('page-title-updated', () => this.sendState());
+    this.view.webContents.on('did-navigate-in-page', () => this.sendState());
+
+    this.window.setBrowserView(this.view);
+    this.layoutView();
+  }
+
+  layoutView() {
+    if (!this.view || !this.window || this.window.isDestroyed()) return;
+
+    const [width, height] = this.window.getContentSize();
+    this.view.setBounds({ x: 0, y: TOOLBAR_HEIGHT, width, height: Math.max(height - TOOLBAR_HEIGHT, 0) });
+    this.view.setAutoResize({ width: true, height: true });
+  }
+
+  sendState() {
+    if (!this.window || this.window.isDestroyed() || !this.view) return;
+
+    this.window.webContents.send('peek-state', {
+      title: this.view.webContents.getTitle(),
+      pinned: this.isPinned
+    });
+  }
+
+  togglePin() {
+    this.isPinned = !this.isPinned;
+    this.sendState();
+  }
+
+  /**
+   * Move the answer into a main window tab and close the overlay
+   */
+  promote() {
+    if (!this.view) return;
+
+    const url = this.view.webContents.getURL();
+    const profileId = this.profileId;
+    this.dismiss();
+    if (url) {
+      this.promoteToTab(url, profileId);
+    }
+  }
+
+  dismiss() {
+    if (this.window && !this.window.isDestroyed()) {
+      this.window.close();
+    }
+  }
+
+  destroyView() {
+    if (!this.view) return;
+
+    if (this.window && !this.window.isDestroyed()) {
+      this.window.setBrowserView(null);
+    }
+    if (!this.view.webContents.isDestroyed()) {
+      this.view.webContents.destroy();
+    }
+    this.view = null;
+    this.profileId = null;
+  }
+}
+
+module.exports = PeekManager;
@@ -0,0 +1,145 @@
+// profile-manager.js
+const { session } = require('electron');
+const Store = require('electron-store');
+
+const DEFAULT_PROFILE_ID = 'default';
+
+class ProfileManager {
+  constructor() {
+    this.store = new Store();
+
+    // The default profile keeps using the default session so existing logins survive
+    this.profiles = this.store.get('profiles', []);
+    if (!this.profiles.some(profile => profile.id === DEFAULT_PROFILE_ID)) {
+      this.profiles.unshift({
+        id: DEFAULT_PROFILE_ID,
+        name: 'Default',
+        partition: null,
+        defaultAI: null
+      });
+      this.saveProfiles();
+    }
+
+    this.activeProfileId = this.store.get('activeProfileId', DEFAULT_PROFILE_ID);
+    if (!this.getProfile(this.activeProfileId)) {
+      this.activeProfileId = DEFAULT_PROFILE_ID;
+    }
+
+    // 'active' sends shortcut searches to whichever profile is currently shown
+    this.searchProfileId = this.store.get('searchProfileId', 'active');
+  }
+
+  getProfiles() {
+    return this.profiles.map(profile => ({ ...profile }));
+  }
+
+  getProfile(profileId) {
+    return this.profiles.find(profile => profile.id === profileId) || null;
+  }
+
+  getActiveProfile() {
+    return this.getProfile(this.activeProfileId);
+  }
+
+  setActiveProfile(profileId) {
+    if (!this.getProfile(profileId)) return false;
+
+    this.activeProfileId = profileId;
+    this.store.set('activeProfileId', profileId);
+    return true;
+  }
+
+  /**
+   * Profile that global-shortcut, tray and CLI searches should open in
+   * @returns {Object}
+   */
+  getSearchProfile() {
+    return this.getProfile(this.searchProfileId) || this.getActiveProfile();
+  }
+
+  setSearchProfile(profileId) {
+    this.searchProfileId = this.getProfile(profileId) ? profileId : 'active';
+    this.store.set('searchProfileId', this.searchProfileId);
+  }
+
+  /**
+   * Create a profile backed by its own persistent session partition
+   * @param {string} name - Display name
+   * @param {string|null} [defaultAI=null] - Home URL, null to use the global default
+   * @returns {Object|null} The created profile, or null if the name is empty
+   */
+  createProfile(name, defaultAI = null) {
+    const trimmedName = (name || '').trim();
+    if (!trimmedName) return null;
+
+    const id = `profile-${Date.now().toString(36)}`;
+    const profile = {
+      id,
+      name: trimmedName,
+      partition: `persist:${id}`,
+      defaultAI: defaultAI || null
+    };
+
+    this.profiles.push(profile);
+    this.saveProfiles();
+    return { ...profile };
+  }
+
+  /**
+   * Rename a profile or change its default AI URL
+   * @param {string} profileId
+   * @param {Object} changes - { name, defaultAI }
+   */
+  updateProfile(profileId, changes) {
+    const profile = this.getProfile(profileId);
+    if (!profile) return null;
+
+    if (changes.name !== undefined && changes.name.trim()) {
+      profile.name = changes.name.trim();
+    }
+    if (changes.defaultAI !== undefined) {
+      profile.defaultAI = changes.defaultAI || null;
+    }
+
+    this.saveProfiles();
+    return { ...profile };
+  }
+
+  /**
+   * Delete a profile and wipe everything stored in its session partition
+   * @param {string} profileId
+   * @returns {Promise<boolean>}
+   */
+  async deleteProfile(profileId) {
+    const profile = this.getProfile(profileId);
+    if (!profile || profile.id === DEFAULT_PROFILE_ID) return false;
+
+    try {
+      const profileSession = session.fromPartition(profile.partition);
+      await profileSession.clearStorageData();
+      await profileSession.clearCache();
+    } catch (error) {
+      console.error(`Error clearing storage for profile ${profile.name}:`, error);
+    }
+
+    this.profiles = this.profiles.filter(p => p.id !== profileId);
+    this.saveProfiles();
+
+    if (this.activeProfileId === profileId) {
+      this.setActiveProfile(DEFAULT_PROFILE_ID);
+    }
+    if (this.searchProfileId === profileId) {
+      this.setSearchProfile('active');
+    }
+
+    return true;
+  }
+
+  saveProfiles() {
+    this.store.set('profiles', this.profiles);
+  }
+}
+
+ProfileManager.DEFAULT_PROFILE_ID = DEFAULT_PROFILE_ID;
+
+module.exports = ProfileManager;
@@ -0,0 +1,215 @@
+// screen-capture-manager.js
+const { BrowserWindow, desktopCapturer, dialog, screen } = require('electron');
+const path = require('path');
+const Store = require('electron-store');
+
+// Regions smaller than this are taken as a click, not a selection
+const MIN_REGION_SIZE = 8;
+
+class ScreenCaptureManager {
+  /**
+   * @param {Object} options
+   * @param {SelectionProvider} options.selectionProvider - Knows whether this is a Wayland session
+   * @param {Function} options.onCapture - Called with (image, prompt) once a region
+   *   was picked, image is a Buffer of PNG data
+   */
+  constructor({ selectionProvider, onCapture }) {
+    this.selectionProvider = selectionProvider;
+    this.onCapture = onCapture;
+    this.store = new Store();
+    this.overlayWindow = null;
+    this.screenshot = null;
+    this.display = null;
+    // Set from the shortcut press until the overlay is up, capturing takes a moment
+    this.capturing = false;
+  }
+
+  /**
+   * Prompt the overlay starts out with, e.g. "Explain this error"
+   */
+  getDefaultPrompt() {
+    return this.store.get('screenshotPrompt', '');
+  }
+
+  setDefaultPrompt(prompt) {
+    this.store.set('screenshotPrompt', String(prompt || '').trim());
+  }
+
+  /**
+   * Wayland compositors only hand out the screen through a portal dialog
+   * that asks the user every time, there is nothing to freeze silently
+   */
+  isSupported() {
+    return !this.selectionProvider.isWayland();
+  }
+
+  /**
+   * Freeze the screen the pointer is on and let the user drag out a region
+   */
+  async start() {
+    if (this.capturing || this.overlayWindow) return;
+
+    if (!this.isSupported()) {
+      dialog.showMessageBox({
+        type: 'info',
+        title: 'Screen Capture Unavailable',
+        message: 'Screen capture doesn\'t work on Wayland yet.',
+        detail: 'Wayland compositors don\'t let apps take screenshots without asking each time. Log in with an X11 session (often called "Xorg" on the login screen) to ask about screenshots.',
+        buttons: ['OK']
+      });
+      return;
+    }
+
+    const display = screen.getDisplayNearestPoint(screen.getCursorScreenPoint());
+    this.capturing = true;
+
+    let screenshot;
+    try {
+      screenshot = await this.captureDisplay(display);
+    } catch (error) {
+      console.error('Failed to capture the screen:', error);
+    }
+
+    if (!screenshot || screenshot.isEmpty()) {
+      this.capturing = false;
+      dialog.showMessageBox({
+        type: 'warning',
+        title: 'Screen Capture Failed',
+        message: 'The screen couldn\'t be captured.',
+        detail: process.platform === 'darwin'
+          ? 'Allow screen recording for Perplexity AI in System Settings > Privacy & Security, then try again.'
+          : 'Try again in a moment.',
+        buttons: ['OK']
+      });
+      return;
+    }
+
+    this.screenshot = screenshot;
+    this.display = display;
+    await this.showOverlay();
+    this.capturing = false;
+  }
+
+  /**
+   * Take a picture of one display at its full resolution
+   * @returns {Promise<NativeImage|null>}
+   */
+  async captureDisplay(display) {
+    const sources = await desktopCapturer.getSources({
+      types: ['screen'],
+      thumbnailSize: {
+        width: Math.round(display.size.width * display.scaleFactor),
+        height: Math.round(display.size.height * display.scaleFactor)
+      }
+    });
+
+    // X11 doesn't always fill in display_id, fall back to the display's position
+    const displayIndex = screen.getAllDisplays().findIndex(candidate => candidate.id === display.id);
+    const source = sources.find(candidate => candidate.display_id === String(display.id))
+      || sources[displayIndex]
+      || sources[0];
+
+    return source ? source.thumbnail : null;
+  }
+
+  async showOverlay() {
+    const { bounds } = this.display;
+    let overlay = null;
+
+    try {
+      overlay = new BrowserWindow({
+        ...bounds,
+        frame: false,
+        resizable: false,
+        movable: false,
+        minimizable: false,
+        maximizable: false,
+        fullscreenable: false,
+        alwaysOnTop: true,
+        skipTaskbar: true,
+        hasShadow: false,
+        enableLargerThanScreen: true,
+        show: false,
+        webPreferences: {
+          preload: path.join(__dirname, 'src', 'js', 'preload', 'preload_screen_capture.js'),
+          contextIsolation: true,
+          nodeIntegration: false,
+        },
+      });
+      this.overlayWindow = overlay;
+      overlay.setAlwaysOnTop(true, 'screen-saver');
+
+      // closeOverlay() has already moved on by the time an overlay is closed
+      overlay.once('closed', () => {
+        if (this.overlayWindow === overlay) {
+          this.overlayWindow = null;
+          this.screenshot = null;
+          this.display = null;
+        }
+      });
+
+      await overlay.loadFile('screen-capture.html');
+      if (this.overlayWindow !== overlay || overlay.isDestroyed()) return;
+
+      // The overlay only shows the frozen screen, a JPEG keeps the message small
+      overlay.webContents.send('screen-capture-image', {
+        image: `data:image/jpeg;base64,${this.screenshot.toJPEG(90).toString('base64')}`,
+        prompt: this.getDefaultPrompt()
+      });
+      overlay.setBounds(bounds);
+      overlay.show();
+      overlay.focus();
+    } catch (error) {
+      console.error('Failed to show the screen capture overlay:', error);
+      if (this.overlayWindow === overlay) {
+        this.closeOverlay();
+      } else if (overlay && !overlay.isDestroyed()) {
+        overlay.close();
+      }
+    }
+  }
+
+  /**
+   * Crop the frozen screen to the region picked in the overlay
+   * @param {{x: number, y: number, width: number, height: number}} region - In
+   *   overlay pixels, which match the display's bounds
+   * @param {string} prompt - Question to ask about the region, may be empty
+   */
+  finish(region, prompt) {
+    if (!this.screenshot || !region) {
+      this.closeOverlay();
+      return;
+    }
+
+    const imageSize = this.screenshot.getSize();
+    const scale = imageSize.width / this.display.bounds.width;
+    const x = Math.max(0, Math.round(region.x * scale));
+    const y = Math.max(0, Math.round(region.y * scale));
+    const crop = {
+      x,
+      y,
+      width: Math.min(Math.round(region.width * scale), imageSize.width - x),
+      height: Math.min(Math.round(region.height * scale), imageSize.height - y)
+    };
+
+    const image = crop.width >= MIN_REGION_SIZE && crop.height >= MIN_REGION_SIZE
+      ? this.screenshot.crop(crop).toPNG()
+      : null;
+    this.closeOverlay();
+
+    if (image) {
+      this.onCapture(image, String(prompt || '').trim());
+    }
+  }
+
+  closeOverlay() {
+    if (this.overlayWindow && !this.overlayWindow.isDestroyed()) {
+      this.overlayWindow.close();
+    }
+    this.overlayWindow = null;
+    this.screenshot = null;
+    this.display = null;
+  }
+}
+
+module.exports = ScreenCaptureManager;
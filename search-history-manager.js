@@ -0,0 +1,215 @@
+// search-history-manager.js
+const { BrowserWindow } = require('electron');
+const path = require('path');
+const Store = require('electron-store');
+
+const MAX_ENTRIES = 2000;
+const DEFAULT_RETENTION_DAYS = 90;
+const DAY = 24 * 60 * 60 * 1000;
+// How long a search page gets to turn into a thread URL
+const THREAD_TRACKING_TIME = 2 * 60 * 1000;
+
+class SearchHistoryManager {
+  constructor(mainWindow) {
+    this.mainWindow = mainWindow;
+    this.store = new Store();
+    this.panelWindow = null;
+    this.entries = this.store.get('searchHistory', []);
+    this.prune();
+  }
+
+  isPaused() {
+    return this.store.get('searchHistoryPaused', false);
+  }
+
+  setPaused(paused) {
+    this.store.set('searchHistoryPaused', paused === true);
+    this.sendUpdates();
+  }
+
+  /**
+   * Days entries are kept, 0 keeps them until deleted
+   * @returns {number}
+   */
+  getRetentionDays() {
+    return this.store.get('searchHistoryRetentionDays', DEFAULT_RETENTION_DAYS);
+  }
+
+  setRetentionDays(days) {
+    this.store.set('searchHistoryRetentionDays', Math.max(0, parseInt(days, 10) || 0));
+    this.prune();
+    this.save();
+    this.sendUpdates();
+  }
+
+  prune() {
+    const retentionDays = this.getRetentionDays();
+    if (retentionDays > 0) {
+      const cutoff = Date.now() - retentionDays * DAY;
+      this.entries = this.entries.filter(entry => entry.timestamp >= cutoff);
+    }
+    this.entries = this.entries.slice(0, MAX_ENTRIES);
+  }
+
+  /**
+   * Add a search to the history unless history is paused
+   * @param {Object} search
+   * @param {string} search.query - Query as sent, with the template applied
+   * @param {string} search.text - Text the user searched for
+   * @param {string} [search.template] - Template id the query was built with
+   * @param {string} [search.endpointId] - Endpoint the search went to
+   * @param {string} [search.focus] - Perplexity focus the search used
+   * @param {string} search.source - 'shortcut', 'tray', 'cli', 'prefix', 'quick-ask', ...
+   * @param {string} search.url - URL the search was opened with
+   * @param {WebContents} [webContents] - Where the search loads, watched for its thread URL
+   * @returns {Object|null} The new entry
+   */
+  record(search, webContents) {
+    if (this.isPaused() || !search || !search.query) return null;
+
+    const entry = {
+      id: `search-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      timestamp: Date.now(),
+      query: search.query,
+      text: search.text || search.query,
+      template: search.template || null,
+      endpointId: search.endpointId || null,
+      focus: search.focus || null,
+      source: search.source || 'app',
+      url: search.url,
+      threadUrl: null
+    };
+
+    this.entries.unshift(entry);
+    this.prune();
+    this.save();
+    this.sendUpdates();
+
+    if (webContents && !webContents.isDestroyed()) {
+      this.trackThread(entry, webContents);
+    }
+    return entry;
+  }
+
+  /**
+   * Perplexity answers a search URL by moving to the thread's own URL.
+   * Follow the page until it settles on an address without the query.
+   */
+  trackThread(entry, webContents) {
+    const searchUrl = entry.url;
+
+    const onNavigate = (event, navigatedUrl) => {
+      if (!navigatedUrl || navigatedUrl === searchUrl || !navigatedUrl.startsWith('http')) return;
+
+      entry.threadUrl = navigatedUrl;
+      this.save();
+      this.sendUpdates();
+
+      if (!new URL(navigatedUrl).searchParams.has('q')) {
+        stop();
+      }
+    };
+
+    const stop = () => {
+      clearTimeout(timeout);
+      if (!webContents.isDestroyed()) {
+        webContents.removeListener('did-navigate', onNavigate);
+        webContents.removeListener('did-navigate-in-page', onNavigate);
+      }
+    };
+
+    const timeout = setTimeout(stop, THREAD_TRACKING_TIME);
+    webContents.on('did-navigate', onNavigate);
+    webContents.on('did-navigate-in-page', onNavigate);
+  }
+
+  getEntry(id) {
+    return this.entries.find(entry => entry.id === id) || null;
+  }
+
+  getEntries() {
+    return this.entries.map(entry => ({ ...entry }));
+  }
+
+  deleteEntries(ids) {
+    const idSet = new Set(ids);
+    this.entries = this.entries.filter(entry => !idSet.has(entry.id));
+    this.save();
+    this.sendUpdates();
+  }
+
+  clear() {
+    this.entries = [];
+    this.save();
+    this.sendUpdates();
+  }
+
+  save() {
+    this.store.set('searchHistory', this.entries);
+  }
+
+  sendUpdates() {
+    if (this.panelWindow && !this.panelWindow.isDestroyed()) {
+      this.panelWindow.webContents.send('search-history', {
+        entries: this.entries,
+        paused: this.isPaused()
+      });
+    }
+  }
+
+  async showHistoryPanel() {
+    if (this.panelWindow) {
+      this.closePanelWindow();
+      return;
+    }
+
+    try {
+      const isFullScreen = this.mainWindow.isFullScreen();
+
+      this.panelWindow = new BrowserWindow({
+        width: 560,
+        height: 640,
+        parent: isFullScreen ? null : this.mainWindow,
+        modal: false,
+        show: false,
+        frame: false,
+        resizable: true,
+        fullscreenable: false,
+        webPreferences: {
+          preload: path.join(__dirname, 'src', 'js', 'preload', 'preload_history_panel.js'),
+          contextIsolation: true,
+          nodeIntegration: false,
+        },
+      });
+
+      if (isFullScreen) {
+        const bounds = this.mainWindow.getBounds();
+        this.panelWindow.setPosition(bounds.x + bounds.width - 580, bounds.y + 80);
+      }
+
+      await this.panelWindow.loadFile('history-panel.html');
+
+      this.sendUpdates();
+      this.panelWindow.show();
+      this.panelWindow.focus();
+
+      this.panelWindow.once('closed', () => {
+        this.panelWindow = null;
+      });
+    } catch (error) {
+      console.error('Failed to create search history panel:', error);
+      this.closePanelWindow();
+    }
+  }
+
+  closePanelWindow() {
+    if (this.panelWindow && !this.panelWindow.isDestroyed()) {
+      this.panelWindow.close();
+    }
+    this.panelWindow = null;
+  }
+}
+
+SearchHistoryManager.DEFAULT_RETENTION_DAYS = DEFAULT_RETENTION_DAYS;
+
+module.exports = SearchHistoryManager;
@@ -0,0 +1,317 @@
+// search-template-engine.js
+const { app, clipboard } = require('electron');
+const Store = require('electron-store');
+
+// Query templates referenced by name from prefix buttons, shortcuts and the CLI
+const BUILTIN_TEMPLATES = [
+  { id: 'search', name: 'Normal Search', icon: 'search', query: '{prefix}{text}' },
+  { id: 'explain', name: 'Explain', icon: 'lightbulb', query: 'explain {text}' },
+  { id: 'describe', name: 'Describe', icon: 'document', query: 'describe {text}' },
+  { id: 'meaning', name: 'Meaning', icon: 'book', query: 'meaning of {text}' },
+  { id: 'translate', name: 'Translate', icon: 'globe', query: 'translate {text} to {lang}' },
+  { id: 'summarize', name: 'Summarize', icon: 'clipboard', query: 'summarize {text}' }
+];
+
+// Icons the prefix popup can draw, see PREFIX_ICONS in the renderer
+const ICONS = ['search', 'lightbulb', 'document', 'book', 'globe', 'clipboard', 'code', 'chat'];
+
+// Where a template's own shortcut sends the selection
+const SHORTCUT_TARGETS = ['current', 'new', 'labs', 'peek'];
+
+const DEFAULT_TEMPLATE_ID = 'search';
+
+// Longer search URLs get cut off or rejected, their query goes through the composer
+const DEFAULT_URL_LENGTH_LIMIT = 2000;
+// Queries longer than this ask for confirmation with a preview first
+const DEFAULT_LONG_TEXT_WARN_LENGTH = 10000;
+
+// Perplexity search URL parameters, only added for perplexity.ai endpoints
+const FOCUS_VALUES = ['internet', 'scholar', 'writing', 'wolfram', 'youtube', 'reddit'];
+const MODE_PARAMS = {
+  pro: { copilot: 'true' },
+  quick: { copilot: 'false' }
+};
+
+class SearchTemplateEngine {
+  constructor(endpointRegistry) {
+    this.endpointRegistry = endpointRegistry;
+    this.store = new Store();
+    this.templates = this.mergeWithBuiltins(this.store.get('searchTemplates', []));
+  }
+
+  /**
+   * Builtin templates always exist, saved templates with the same id replace
+   * them. Saved templates keep their order, builtins that were never saved
+   * come first. Deleted builtins stay hidden so shortcuts and the CLI can
+   * still use them by id.
+   * @param {Array} savedTemplates
+   * @returns {Array}
+   */
+  mergeWithBuiltins(savedTemplates) {
+    const findBuiltin = (id) => BUILTIN_TEMPLATES.find(builtin => builtin.id === id);
+
+    const saved = savedTemplates
+      .filter(template => template && template.id && (findBuiltin(template.id) || template.query))
+      .map(template => findBuiltin(template.id)
+        ? { ...findBuiltin(template.id), ...template, builtin: true }
+        : { ...template, builtin: false });
+
+    const unsaved = BUILTIN_TEMPLATES
+      .filter(builtin => !saved.some(template => template.id === builtin.id))
+      .map(builtin => ({ ...builtin, builtin: true }));
+
+    return [...unsaved, ...saved];
+  }
+
+  getTemplates() {
+    return this.templates.map(template => ({ ...template }));
+  }
+
+  /**
+   * Templates offered in the prefix popup and quick ask, in the user's order
+   * @returns {Array}
+   */
+  getVisibleTemplates() {
+    return this.getTemplates().filter(template => !template.hidden);
+  }
+
+  /**
+   * Replace the templates from the prefix manager. Builtins left out of the
+   * list are hidden rather than removed. Settings the manager doesn't edit,
+   * like endpointId or focus, are kept from the current template.
+   * @param {Array<{id: string, name: string, icon: string, query: string, shortcut: Object}>} templates
+   *   shortcut is { key, enabled, target } with a target from SHORTCUT_TARGETS
+   */
+  setTemplates(templates) {
+    if (!Array.isArray(templates)) return;
+
+    const sanitized = templates
+      .filter(template => template && template.name && template.name.trim()
+        && template.query && template.query.trim())
+      .map(template => {
+        const id = template.id || `template-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+        const existing = this.getTemplate(id) || {};
+        let query = template.query.trim();
+        // A template without {text} would drop the selection
+        if (!query.includes('{text}')) {
+          query = `${query} {text}`;
+        }
+
+        const { builtin, hidden, ...kept } = existing;
+        return {
+          ...kept,
+          id,
+          name: template.name.trim(),
+          icon: ICONS.includes(template.icon) ? template.icon : 'search',
+          query,
+          shortcut: this.sanitizeShortcut(template.shortcut)
+        };
+      });
+
+    BUILTIN_TEMPLATES
+      .filter(builtin => !sanitized.some(template => template.id === builtin.id))
+      .forEach(builtin => sanitized.push({ id: builtin.id, hidden: true }));
+
+    this.store.set('searchTemplates', sanitized);
+    this.templates = this.mergeWithBuiltins(sanitized);
+  }
+
+  sanitizeShortcut(shortcut) {
+    if (!shortcut || !shortcut.key) return null;
+
+    return {
+      key: shortcut.key,
+      enabled: shortcut.enabled === true,
+      target: SHORTCUT_TARGETS.includes(shortcut.target) ? shortcut.target : 'new'
+    };
+  }
+
+  resetTemplates() {
+    this.store.delete('searchTemplates');
+    this.templates = this.mergeWithBuiltins([]);
+  }
+
+  getTemplate(templateId) {
+    return this.templates.find(template => template.id === templateId) || null;
+  }
+
+  /**
+   * Language used for {lang}, the searchLanguage setting or the system locale
+   * @returns {string} Language name in English, e.g. "German"
+   */
+  getLanguage() {
+    const configured = this.store.get('searchLanguage', '');
+    if (configured) return configured;
+
+    const locale = app.getLocale() || 'en';
+    try {
+      return new Intl.DisplayNames(['en'], { type: 'language' }).of(locale.split('-')[0]);
+    } catch (e) {
+      return locale;
+    }
+  }
+
+  /**
+   * Longest search URL that is opened as is, in characters
+   * @returns {number}
+   */
+  getUrlLengthLimit() {
+    return this.store.get('searchUrlLengthLimit', DEFAULT_URL_LENGTH_LIMIT);
+  }
+
+  setUrlLengthLimit(limit) {
+    const value = parseInt(limit, 10);
+    if (value > 0) {
+      this.store.set('searchUrlLengthLimit', value);
+    }
+  }
+
+  /**
+   * Query length above which a search asks before it is sent, in characters
+   * @returns {number}
+   */
+  getLongTextWarnLength() {
+    return this.store.get('longTextWarnLength', DEFAULT_LONG_TEXT_WARN_LENGTH);
+  }
+
+  setLongTextWarnLength(length) {
+    const value = parseInt(length, 10);
+    if (value > 0) {
+      this.store.set('longTextWarnLength', value);
+    }
+  }
+
+  getLongTextAutoSubmit() {
+    return this.store.get('longTextAutoSubmit', true);
+  }
+
+  setLongTextAutoSubmit(enabled) {
+    this.store.set('longTextAutoSubmit', enabled === true);
+  }
+
+  /**
+   * Fill a template's placeholders
+   * @param {string} query - Template text with {text}, {prefix}, {lang},
+   *   {clipboard} and {date}
+   * @param {Object} values - { text, prefix }
+   * @returns {string}
+   */
+  render(query, values) {
+    // Only read what the template uses, the clipboard may hold a lot
+    const replacements = {
+      text: () => values.text || '',
+      prefix: () => values.prefix || '',
+      lang: () => this.getLanguage(),
+      clipboard: () => clipboard.readText().trim(),
+      date: () => new Intl.DateTimeFormat(app.getLocale() || 'en', { dateStyle: 'long' }).format(new Date())
+    };
+
+    return query
+      .replace(/\{(text|prefix|lang|clipboard|date)\}/g, (match, name) => replacements[name]())
+      .trim();
+  }
+
+  /**
+   * Turn search text into the URL to open and how to open it. Options given
+   * here win over the ones stored on the template.
+   * @param {string} text - Text being searched for
+   * @param {Object} [options]
+   * @param {string} [options.template] - Template id, defaults to 'search'
+   * @param {string} [options.prefix] - Free-form prefix for {prefix}
+   * @param {string} [options.endpointId] - Endpoint to search on
+   * @param {string} [options.focus] - Perplexity focus/source, e.g. 'scholar'
+   * @param {string} [options.mode] - 'pro' or 'quick'
+   * @param {string} [options.thread] - 'new' opens a tab, 'continue' reuses the active one
+   * @returns {{url: string, query: string, newTab: (boolean|undefined), composer: ({text: string, submit: boolean}|null),
+   *   template: string, endpointId: (string|null), focus: (string|null)}|null}
+   *   composer is set when the query is too long for the URL, url then opens
+   *   a fresh thread and the query has to be typed into its composer.
+   *   template, endpointId and focus are what the search was built with, kept
+   *   in the history so it can be run again the same way.
+   */
+  build(text, options = {}) {
+    if (!text || !text.trim()) return null;
+
+    let template = this.getTemplate(options.template);
+    if (options.template && !template) {
+      console.log(`Unknown search template: ${options.template}`);
+    }
+    template = template || this.getTemplate(DEFAULT_TEMPLATE_ID);
+
+    const query = this.render(template.query, { text: text.trim(), prefix: options.prefix });
+    const endpointId = options.endpointId || template.endpointId;
+    let url = this.endpointRegistry.buildSearchUrl(query, endpointId);
+
+    const focus = options.focus || template.focus;
+    const mode = options.mode || template.mode;
+    if (this.isPerplexityUrl(url)) {
+      url = this.applyPerplexityParams(url, focus, mode);
+    }
+
+    let composer = null;
+    if (url.length > this.getUrlLengthLimit()) {
+      // The fresh thread still opens with the focus and mode the search asked for
+      url = this.endpointRegistry.getSearchEndpoint(endpointId).homeUrl;
+      if (this.isPerplexityUrl(url)) {
+        url = this.applyPerplexityParams(url, focus, mode);
+      }
+      composer = { text: query, submit: this.getLongTextAutoSubmit() };
+    }
+
+    const thread = options.thread || template.thread;
+    let newTab;
+    if (thread === 'new') newTab = true;
+    if (thread === 'continue') newTab = false;
+
+    return {
+      url,
+      query,
+      newTab,
+      composer,
+      template: template.id,
+      endpointId: endpointId || null,
+      focus: focus || null
+    };
+  }
+
+  isPerplexityUrl(url) {
+    try {
+      const host = new URL(url).hostname;
+      return host === 'perplexity.ai' || host.endsWith('.perplexity.ai');
+    } catch (e) {
+      return false;
+    }
+  }
+
+  applyPerplexityParams(url, focus, mode) {
+    if (!focus && !mode) return url;
+
+    const parsedUrl = new URL(url);
+
+    if (focus) {
+      if (FOCUS_VALUES.includes(focus)) {
+        parsedUrl.searchParams.set('focus', focus);
+      } else {
+        console.log(`Ignoring unknown search focus: ${focus}`);
+      }
+    }
+
+    if (mode) {
+      if (MODE_PARAMS[mode]) {
+        Object.entries(MODE_PARAMS[mode]).forEach(([name, value]) => {
+          parsedUrl.searchParams.set(name, value);
+        });
+      } else {
+        console.log(`Ignoring unknown search mode: ${mode}`);
+      }
+    }
+
+    return parsedUrl.toString();
+  }
+}
+
+SearchTemplateEngine.DEFAULT_TEMPLATE_ID = DEFAULT_TEMPLATE_ID;
+SearchTemplateEngine.ICONS = ICONS;
+SearchTemplateEngine.SHORTCUT_TARGETS = SHORTCUT_TARGETS;
+
+module.exports = SearchTemplateEngine;
@@ -0,0 +1,347 @@
+// selection-provider.js
+const { clipboard } = require('electron');
+const { exec } = require('child_process');
+const Store = require('electron-store');
+const ClipboardSnapshot = require('./clipboard-snapshot');
+
+const isWindows = process.platform === 'win32';
+const isMac = process.platform === 'darwin';
+const isLinux = process.platform === 'linux';
+
+// How often the clipboard is checked while waiting for a simulated copy
+const COPY_POLL_INTERVAL = 50;
+// Backends stop themselves at their timeout, the race only catches ones that
+// hang past it. Without the slack a simulated copy could be given up on while
+// it still has the clipboard emptied.
+const TIMEOUT_SLACK = 500;
+
+/**
+ * Ways to get at the selected text. Each backend resolves with the text it
+ * found or an empty string, and gets `timeout` ms before the next one is tried.
+ */
+const BACKENDS = [
+  {
+    id: 'primary',
+    name: 'Primary selection',
+    description: 'Text highlighted with the mouse, read with xclip or wl-paste',
+    platforms: ['linux'],
+    timeout: 1000
+  },
+  {
+    id: 'clipboard',
+    name: 'Clipboard',
+    description: 'Whatever was copied last, may be older than the selection',
+    platforms: ['linux', 'win32', 'darwin'],
+    timeout: 1000
+  },
+  {
+    id: 'simulated-copy',
+    name: 'Simulated copy',
+    description: 'Presses Ctrl+C (Cmd+C) in the focused app and reads the result',
+    platforms: ['linux', 'win32', 'darwin'],
+    timeout: 1500
+  }
+];
+
+// Linux reads the selections without touching the focused app first, the
+// other platforms have no primary selection. The clipboard is off everywhere,
+// with nothing selected it would pass old clipboard text off as the selection.
+const DEFAULT_ORDER = isLinux
+  ? [
+      { id: 'primary', enabled: true },
+      { id: 'simulated-copy', enabled: true },
+      { id: 'clipboard', enabled: false }
+    ]
+  : [
+      { id: 'simulated-copy', enabled: true },
+      { id: 'clipboard', enabled: false }
+    ];
+
+class SelectionProvider {
+  constructor() {
+    this.store = new Store();
+    this.session = isLinux ? this.detectLinuxSession() : null;
+    // Set while a capture may be changing the clipboard
+    this.capturing = false;
+  }
+
+  /**
+   * Wayland sessions set XDG_SESSION_TYPE, compositors started by hand
+   * often only set WAYLAND_DISPLAY
+   * @returns {string} 'wayland' or 'x11'
+   */
+  detectLinuxSession() {
+    const sessionType = (process.env.XDG_SESSION_TYPE || '').toLowerCase();
+    if (sessionType === 'wayland') return 'wayland';
+    if (sessionType === 'x11') return 'x11';
+    return process.env.WAYLAND_DISPLAY ? 'wayland' : 'x11';
+  }
+
+  isWayland() {
+    return this.session === 'wayland';
+  }
+
+  /**
+   * Backends for this platform in the user's priority order
+   * @returns {Array<{id: string, name: string, description: string, enabled: boolean, timeout: number}>}
+   */
+  getBackends() {
+    const saved = this.store.get('selectionBackends', DEFAULT_ORDER);
+    const available = BACKENDS.filter(backend => backend.platforms.includes(process.platform));
+
+    const ordered = saved
+      .map(entry => {
+        const backend = available.find(candidate => candidate.id === entry.id);
+        if (!backend) return null;
+        return {
+          id: backend.id,
+          name: backend.name,
+          description: backend.description,
+          enabled: entry.enabled !== false,
+          timeout: entry.timeout > 0 ? entry.timeout : backend.timeout
+        };
+      })
+      .filter(Boolean);
+
+    // Backends added after the order was saved go last, switched off
+    available
+      .filter(backend => !ordered.some(entry => entry.id === backend.id))
+      .forEach(backend => ordered.push({
+        id: backend.id,
+        name: backend.name,
+        description: backend.description,
+        enabled: false,
+        timeout: backend.timeout
+      }));
+
+    return ordered;
+  }
+
+  /**
+   * Save the priority order, enabled state and timeouts
+   * @param {Array<{id: string, enabled: boolean, timeout: number}>} backends
+   */
+  setBackends(backends) {
+    if (!Array.isArray(backends)) return;
+
+    const known = BACKENDS.map(backend => backend.id);
+    const sanitized = backends
+      .filter(backend => backend && known.includes(backend.id))
+      .map(backend => ({
+        id: backend.id,
+        enabled: backend.enabled !== false,
+        timeout: Math.min(Math.max(parseInt(backend.timeout, 10) || 0, 100), 10000)
+      }));
+
+    this.store.set('selectionBackends', sanitized);
+  }
+
+  /**
+   * Get the selected text from the first enabled backend that finds some
+   * @returns {Promise<{text: string, backend: string|null, duration: number, attempts: Array<Object>}>}
+   *   attempts lists every backend tried with its status ('ok', 'empty',
+   *   'timeout' or 'error') and duration in ms
+   */
+  async capture() {
+    this.capturing = true;
+    try {
+      return await this.tryBackends();
+    } finally {
+      this.capturing = false;
+    }
+  }
+
+  async tryBackends() {
+    const startTime = Date.now();
+    const attempts = [];
+
+    for (const backend of this.getBackends().filter(entry => entry.enabled)) {
+      const attemptStart = Date.now();
+      let text = '';
+      let status;
+      let error = null;
+
+      try {
+        text = await this.runWithTimeout(this.readBackend(backend.id, backend.timeout), backend.timeout + TIMEOUT_SLACK);
+        status = text ? 'ok' : 'empty';
+      } catch (e) {
+        status = e.message === 'timeout' ? 'timeout' : 'error';
+        error = e.message;
+      }
+
+      attempts.push({
+        id: backend.id,
+        name: backend.name,
+        status,
+        error,
+        duration: Date.now() - attemptStart
+      });
+
+      if (text) {
+        console.log(`Got selection from ${backend.id} in ${Date.now() - attemptStart}ms`);
+        return { text, backend: backend.id, duration: Date.now() - startTime, attempts };
+      }
+    }
+
+    return { text: '', backend: null, duration: Date.now() - startTime, attempts };
+  }
+
+  runWithTimeout(promise, timeout) {
+    let timer;
+    const timeoutPromise = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error('timeout')), timeout);
+    });
+    return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+  }
+
+  readBackend(id, timeout) {
+    switch (id) {
+      case 'primary':
+        return this.readPrimarySelection(timeout);
+      case 'clipboard':
+        return this.readClipboard(timeout);
+      case 'simulated-copy':
+        return this.simulateCopy(timeout);
+      default:
+        return Promise.resolve('');
+    }
+  }
+
+  /**
+   * Run a command and resolve with its trimmed output, empty when it fails
+   */
+  runCommand(command, timeout) {
+    return new Promise((resolve) => {
+      exec(command, { timeout, windowsHide: true }, (error, stdout) => {
+        resolve(!error && stdout ? stdout.trim() : '');
+      });
+    });
+  }
+
+  readPrimarySelection(timeout) {
+    return this.runCommand(this.isWayland()
+      ? 'wl-paste --primary --no-newline 2>/dev/null'
+      : 'xclip -o -selection primary 2>/dev/null', timeout);
+  }
+
+  /**
+   * Electron only sees the Wayland clipboard through XWayland, ask wl-paste first
+   */
+  async readClipboard(timeout) {
+    if (isLinux) {
+      const text = await this.runCommand(this.isWayland()
+        ? 'wl-paste --no-newline 2>/dev/null'
+        : 'xclip -o -selection clipboard 2>/dev/null', timeout);
+      if (text) return text;
+    }
+    return clipboard.readText().trim();
+  }
+
+  /**
+   * Copy the selection in the focused app and read it from the clipboard.
+   * The clipboard is emptied first so stale content isn't mistaken for the
+   * selection, and put back in every format once the copy has been read.
+   * Every step shares the one timeout, so the clipboard is restored before
+   * tryBackends() gives up on the backend.
+   */
+  async simulateCopy(timeout) {
+    const deadline = Date.now() + timeout;
+    const snapshot = new ClipboardSnapshot();
+    clipboard.clear();
+
+    try {
+      await this.pressCopyKeys(deadline);
+
+      while (Date.now() < deadline) {
+        const text = this.isWayland()
+          ? await this.readClipboard(Math.max(deadline - Date.now(), 1))
+          : clipboard.readText().trim();
+        if (text) return text;
+        await new Promise(resolve => setTimeout(resolve, COPY_POLL_INTERVAL));
+      }
+      return '';
+    } finally {
+      snapshot.restore();
+    }
+  }
+
+  /**
+   * Send the platform's copy shortcut to the focused app, trying the
+   * alternatives for each platform in turn until the deadline
+   * @param {number} deadline - Time in ms since the epoch
+   */
+  async pressCopyKeys(deadline) {
+    let commands;
+
+    if (isWindows) {
+      commands = [
+        'powershell -WindowStyle Hidden -command "Add-Type -AssemblyName System.Windows.Forms; [System.Windows.Forms.SendKeys]::SendWait(\'^c\')"',
+        'powershell -WindowStyle Hidden -command "$wshell = New-Object -ComObject wscript.shell; $wshell.SendKeys(\'^c\')"'
+      ];
+    } else if (isMac) {
+      commands = ['osascript -e \'tell application "System Events" to keystroke "c" using {command down}\''];
+    } else if (this.isWayland()) {
+      // wtype needs the virtual keyboard protocol that GNOME lacks, ydotool
+      // works everywhere but needs its daemon. 29 and 46 are Ctrl and C.
+      commands = ['wtype -M ctrl c -m ctrl', 'ydotool key 29:1 46:1 46:0 29:0'];
+    } else {
+      commands = ['xdotool key --clearmodifiers ctrl+c', 'xdotool keydown ctrl key c keyup ctrl'];
+    }
+
+    for (const command of commands) {
+      const timeout = deadline - Date.now();
+      if (timeout <= 0) return;
+
+      const succeeded = await new Promise((resolve) => {
+        exec(command, { timeout, windowsHide: true }, (error) => resolve(!error));
+      });
+      if (succeeded) return;
+      console.log(`Copy command failed: ${command.split(' ')[0]}`);
+    }
+  }
+
+  /**
+   * Check whether a command is on the PATH
+   * @param {string} command
+   * @returns {Promise<boolean>}
+   */
+  hasCommand(command) {
+    return new Promise((resolve) => {
+      exec(`which ${command}`, { timeout: 1000 }, (error, stdout) => {
+        resolve(!error && !!stdout.trim());
+      });
+    });
+  }
+
+  /**
+   * Tools used to capture the selection in this session, for the settings window
+   * @returns {Promise<{session: string|null, reader: string|null, copier: string|null, missing: string[]}>}
+   */
+  async getSessionTools() {
+    if (!isLinux) {
+      return { session: null, reader: null, copier: null, missing: [] };
+    }
+
+    const readers = this.isWayland() ? ['wl-paste'] : ['xclip'];
+    const copiers = this.isWayland() ? ['wtype', 'ydotool'] : ['xdotool'];
+
+    const findFirst = async (commands) => {
+      for (const command of commands) {
+        if (await this.hasCommand(command)) return command;
+      }
+      return null;
+    };
+
+    const reader = await findFirst(readers);
+    const copier = await findFirst(copiers);
+    const missing = [];
+    if (!reader) missing.push(readers.join(' or '));
+    if (!copier) missing.push(copiers.join(' or '));
+
+    return { session: this.session, reader, copier, missing };
+  }
+}
+
+SelectionProvider.BACKENDS = BACKENDS;
+
+module.exports = SelectionProvider;
@@ -0,0 +1,178 @@
+// session-manager.js
+const { dialog } = require('electron');
+const Store = require('electron-store');
+
+const SAVE_THROTTLE = 5000;
+const RESTORE_MODES = ['always', 'ask', 'never'];
+const DEFAULT_RESTORE_MODE = 'ask';
+
+class SessionManager {
+  /**
+   * @param {TabManager} tabManager - Tabs to save and restore
+   * @param {ProfileManager} profileManager - Used to drop tabs of deleted profiles
+   */
+  constructor(tabManager, profileManager) {
+    this.tabManager = tabManager;
+    this.profileManager = profileManager;
+    this.store = new Store();
+    this.saveTimeout = null;
+    // Nothing is saved until startup decided whether to restore, otherwise
+    // the default tab opened first would overwrite the previous session
+    this.isTracking = false;
+
+    this.tabManager.onChange(() => this.scheduleSave());
+  }
+
+  getRestoreMode() {
+    const mode = this.store.get('sessionRestoreMode', DEFAULT_RESTORE_MODE);
+    return RESTORE_MODES.includes(mode) ? mode : DEFAULT_RESTORE_MODE;
+  }
+
+  setRestoreMode(mode) {
+    if (RESTORE_MODES.includes(mode)) {
+      this.store.set('sessionRestoreMode', mode);
+    }
+  }
+
+  startTracking() {
+    this.isTracking = true;
+    this.save();
+  }
+
+  scheduleSave() {
+    if (!this.isTracking || this.saveTimeout) return;
+
+    this.saveTimeout = setTimeout(() => {
+      this.saveTimeout = null;
+      this.save();
+    }, SAVE_THROTTLE);
+  }
+
+  /**
+   * Write the open tabs and layout to the store right away
+   */
+  save() {
+    if (!this.isTracking) return;
+
+    if (this.saveTimeout) {
+      clearTimeout(this.saveTimeout);
+      this.saveTimeout = null;
+    }
+
+    const tabManager = this.tabManager;
+    const tabIndex = (tabId) => tabManager.tabs.findIndex(tab => tab.id === tabId);
+
+    this.store.set('lastSession', {
+      savedAt: Date.now(),
+      activeProfileId: tabManager.activeProfileId,
+      activeTabIndex: tabIndex(tabManager.activeTabId),
+      splitTabIndexes: tabManager.splitTabIds ? tabManager.splitTabIds.map(tabIndex) : null,
+      tabs: tabManager.tabs.map(tab => ({
+        profileId: tab.profileId,
+        homeUrl: tab.homeUrl,
+        url: tab.url,
+        title: tab.title,
+        lastAccessTime: tab.lastAccessTime,
+        scrollPosition: tab.scrollPosition
+      }))
+    });
+  }
+
+  /**
+   * Previous session if it holds more than a single untouched home page
+   * @returns {Object|null}
+   */
+  getRestorableSession() {
+    const session = this.store.get('lastSession', null);
+    if (!session || !Array.isArray(session.tabs)) return null;
+
+    const tabs = session.tabs.filter(tab => tab.url && this.profileManager.getProfile(tab.profileId));
+    if (tabs.length === 0) return null;
+    if (tabs.length === 1 && tabs[0].url === tabs[0].homeUrl) return null;
+
+    return session;
+  }
+
+  /**
+   * Decide from the restore mode whether the previous session comes back
+   * @param {BrowserWindow} parentWindow - Window the question is shown over
+   * @returns {Promise<boolean>}
+   */
+  async shouldRestore(parentWindow) {
+    const session = this.getRestorableSession();
+    const mode = this.getRestoreMode();
+
+    if (!session || mode === 'never') return false;
+    if (mode === 'always') return true;
+
+    // Started hidden to the tray, hold the question until the window is opened
+    if (!parentWindow.isVisible()) {
+      await new Promise(resolve => parentWindow.once('show', resolve));
+    }
+
+    const tabCount = session.tabs.length;
+    const { response, checkboxChecked } = await dialog.showMessageBox(parentWindow, {
+      type: 'question',
+      title: 'Restore Session',
+      message: `Restore the ${tabCount} ${tabCount === 1 ? 'tab' : 'tabs'} from your last session?`,
+      buttons: ['Restore', 'Start Fresh'],
+      defaultId: 0,
+      cancelId: 1,
+      checkboxLabel: 'Remember my choice'
+    });
+
+    const restore = response === 0;
+    if (checkboxChecked) {
+      this.setRestoreMode(restore ? 'always' : 'never');
+    }
+    return restore;
+  }
+
+  /**
+   * Recreate the saved tabs without loading them and show the one that was active
+   * @returns {boolean} Whether any tab was restored
+   */
+  restore() {
+    const session = this.getRestorableSession();
+    if (!session) return false;
+
+    const tabManager = this.tabManager;
+    const restoredIds = session.tabs.map(savedTab => (
+      this.profileManager.getProfile(savedTab.profileId) ? tabManager.restoreTab(savedTab).id : null
+    ));
+
+    // Something was opened while the restore question was up, keep it in front
+    if (tabManager.getActiveTab()) return true;
+
+    // Come back on the profile that was in front, unless it was deleted since
+    const profileId = session.activeProfileId;
+    if (profileId !== tabManager.activeProfileId && this.profileManager.setActiveProfile(profileId)) {
+      tabManager.setActiveProfile(profileId);
+    }
+
+    const activeTabId = restoredIds[session.activeTabIndex];
+    const activeTab = tabManager.getTab(activeTabId);
+    const fallbackTab = tabManager.getProfileTabs()
+      .sort((a, b) => b.lastAccessTime - a.lastAccessTime)[0];
+
+    if (activeTab && activeTab.profileId === tabManager.activeProfileId) {
+      tabManager.activateTab(activeTab.id);
+    } else if (fallbackTab) {
+      tabManager.activateTab(fallbackTab.id);
+    } else {
+      return false;
+    }
+
+    const splitIds = (session.splitTabIndexes || []).map(index => restoredIds[index]);
+    const isProfileTab = (id) => tabManager.getProfileTabs().some(tab => tab.id === id);
+    if (splitIds.length === 2 && splitIds.every(isProfileTab)) {
+      tabManager.activateTab(splitIds[0]);
+      tabManager.enableSplit(null, splitIds[1]);
+      tabManager.focusSplitPane(activeTabId);
+    }
+
+    return true;
+  }
+}
+
+module.exports = SessionManager;
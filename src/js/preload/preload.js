@@ -1,10 +1,52 @@
 // preload.js
 
-const { contextBridge, ipcRenderer } = require('electron');
+const { contextBridge, ipcRenderer, webUtils } = require('electron');
 
 contextBridge.exposeInMainWorld('electronAPI', {
   switchAITool: (url) => ipcRenderer.send('switch-ai-tool', url),
   onPageLoading: (callback) => ipcRenderer.on('page-loading', (event, isLoading) => callback(isLoading)),
+  
+  zoomIn: () => ipcRenderer.send('zoom-in'),
+  zoomOut: () => ipcRenderer.send('zoom-out'),
+  resetZoom: () => ipcRenderer.send('reset-zoom'),
+  onZoomUpdated: (callback) => ipcRenderer.on('zoom-updated', (event, zoom) => callback(zoom)),
+  
+  openFindBar: () => ipcRenderer.send('open-find-bar'),
+  closeFindBar: () => ipcRenderer.send('close-find-bar'),
+  findInPage: (text, options) => ipcRenderer.send('find-in-page', { text, ...options }),
+  onFindBarOpen: (callback) => ipcRenderer.on('find-bar-open', () => callback()),
+  onFindBarClosed: (callback) => ipcRenderer.on('find-bar-closed', () => callback()),
+  onFindResult: (callback) => ipcRenderer.on('find-result', (event, result) => callback(result)),
+  
+  navigateBack: () => ipcRenderer.send('navigate-back'),
+  navigateForward: () => ipcRenderer.send('navigate-forward'),
+  showHistoryMenu: () => ipcRenderer.send('show-history-menu'),
+  
+  getTabs: () => ipcRenderer.send('get-tabs'),
+  onTabsUpdated: (callback) => ipcRenderer.on('tabs-updated', (event, data) => callback(data)),
+  newTab: () => ipcRenderer.send('new-tab'),
+  activateTab: (tabId) => ipcRenderer.send('activate-tab', tabId),
+  closeTab: (tabId) => ipcRenderer.send('close-tab', tabId),
+  moveTab: (tabId, index) => ipcRenderer.send('move-tab', { tabId, index }),
+  toggleSplitView: () => ipcRenderer.send('toggle-split-view'),
+  swapSplitFocus: () => ipcRenderer.send('swap-split-focus'),
+  setSplitRatio: (ratio, persist) => ipcRenderer.send('set-split-ratio', { ratio, persist }),
+  toggleSplitOrientation: () => ipcRenderer.send('toggle-split-orientation'),
+  toggleSplitMirror: () => ipcRenderer.send('toggle-split-mirror'),
+  
+  getEndpoints: () => ipcRenderer.invoke('get-endpoints'),
+  onEndpointsUpdated: (callback) => ipcRenderer.on('endpoints-updated', (event, endpoints) => callback(endpoints)),
+  openEndpoint: (endpointId) => ipcRenderer.send('open-endpoint', endpointId),
+  
+  getProfiles: () => ipcRenderer.invoke('get-profiles'),
+  onProfilesUpdated: (callback) => ipcRenderer.on('profiles-updated', (event, data) => callback(data)),
+  createProfile: (name, defaultAI) => ipcRenderer.invoke('create-profile', { name, defaultAI }),
+  updateProfile: (profileId, changes) => ipcRenderer.invoke('update-profile', { profileId, changes }),
+  deleteProfile: (profileId) => ipcRenderer.invoke('delete-profile', profileId),
+  setSearchProfile: (profileId) => ipcRenderer.send('set-search-profile', profileId),
+  switchProfile: (profileId) => ipcRenderer.send('switch-profile', profileId),
+  showProfileMenu: () => ipcRenderer.send('show-profile-menu'),
+  
   openSettings: () => ipcRenderer.send('open-settings'),
   getShortcuts: () => ipcRenderer.send('get-shortcuts'),
   onShortcutsReceived: (callback) => ipcRenderer.on('shortcuts', (event, shortcuts) => callback(shortcuts)),
@@ -14,13 +56,25 @@ contextBridge.exposeInMainWorld('electronAPI', {
   onSettingsReceived: (callback) => ipcRenderer.on('settings', (event, data) => callback(data)),
   setSettings: (data) => ipcRenderer.send('set-settings', data),  
   getAppVersion: () => ipcRenderer.invoke('get-app-version'),
+  getSelectionBackend: () => ipcRenderer.invoke('get-selection-backend'),
+  resetSearchTemplates: () => ipcRenderer.invoke('reset-search-templates'),
+  testSelectionCapture: () => ipcRenderer.invoke('test-selection-capture'),
   platform: process.platform,
   
   openNotificationPanel: () => ipcRenderer.send('open-notification-panel'),
   onNotificationBadgeUpdate: (callback) => 
     ipcRenderer.on('notification-badge-update', (event, count) => callback(count)),
     
+  openDownloadsPanel: () => ipcRenderer.send('open-downloads-panel'),
+  openHistoryPanel: () => ipcRenderer.send('open-history-panel'),
+  onDownloadProgress: (callback) =>
+    ipcRenderer.on('download-progress', (event, data) => callback(data)),
+  chooseDownloadFolder: () => ipcRenderer.invoke('choose-download-folder'),
+    
   performQuickSearch: (searchText) => ipcRenderer.send('perform-quick-search', searchText),
+  // Pages can't see where dropped files live, only the preload can ask
+  dropFiles: (files) => ipcRenderer.send('drop-files', Array.from(files).map(file => webUtils.getPathForFile(file))),
+  dropText: (text) => ipcRenderer.send('drop-text', text),
   installContextMenu: () => ipcRenderer.send('install-context-menu'),
   
   getShortcutInstructions: () => ipcRenderer.send('get-shortcut-instructions'),
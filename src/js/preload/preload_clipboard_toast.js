@@ -0,0 +1,16 @@
+// preload_clipboard_toast.js
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('clipboardToastAPI', {
+  onSuggestion: (callback) =>
+    ipcRenderer.on('clipboard-suggestion', (event, data) => callback(data)),
+
+  search: (templateId) =>
+    ipcRenderer.send('clipboard-suggestion-search', templateId),
+
+  dismiss: () =>
+    ipcRenderer.send('clipboard-suggestion-dismiss'),
+
+  pause: () =>
+    ipcRenderer.send('set-clipboard-watch-paused', true)
+});
@@ -0,0 +1,28 @@
+// preload_downloads_panel.js
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('downloadsPanelAPI', {
+  onDownloadsList: (callback) =>
+    ipcRenderer.on('downloads-list', (event, data) => callback(data)),
+
+  openDownload: (id) =>
+    ipcRenderer.send('open-download', id),
+
+  showInFolder: (id) =>
+    ipcRenderer.send('show-download-in-folder', id),
+
+  retryDownload: (id) =>
+    ipcRenderer.send('retry-download', id),
+
+  cancelDownload: (id) =>
+    ipcRenderer.send('cancel-download', id),
+
+  removeDownload: (id) =>
+    ipcRenderer.send('remove-download', id),
+
+  clearFinished: () =>
+    ipcRenderer.send('clear-finished-downloads'),
+
+  closePanel: () =>
+    ipcRenderer.send('close-downloads-panel')
+});
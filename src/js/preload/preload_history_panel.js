@@ -0,0 +1,25 @@
+// preload_history_panel.js
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('historyPanelAPI', {
+  onSearchHistory: (callback) =>
+    ipcRenderer.on('search-history', (event, data) => callback(data)),
+
+  rerunSearch: (id) =>
+    ipcRenderer.send('rerun-search', id),
+
+  openThread: (id) =>
+    ipcRenderer.send('open-search-thread', id),
+
+  deleteEntries: (ids) =>
+    ipcRenderer.send('delete-search-history', ids),
+
+  clearHistory: () =>
+    ipcRenderer.send('clear-search-history'),
+
+  setPaused: (paused) =>
+    ipcRenderer.send('set-search-history-paused', paused),
+
+  closePanel: () =>
+    ipcRenderer.send('close-history-panel')
+});
@@ -1,3 +1,104 @@
+const { contextBridge, ipcRenderer, webUtils } = require('electron');
+
+// The local error page shown when a view can't load asks for retries here
+if (window.location.protocol === 'file:') {
+    contextBridge.exposeInMainWorld('errorPageAPI', {
+        retry: () => ipcRenderer.send('retry-failed-load')
+    });
+}
+
+// Windows and Linux report mouse buttons 4/5 as app commands to the main
+// process, macOS only delivers them to the page
+if (process.platform === 'darwin') {
+    window.addEventListener('mouseup', (event) => {
+        if (event.button === 3) {
+            ipcRenderer.send('navigate-back');
+        } else if (event.button === 4) {
+            ipcRenderer.send('navigate-forward');
+        }
+    });
+}
+
+// Hands files to the page the way picking or pasting them would, through
+// the page's own upload input when it has one
+function attachFiles(composer, files) {
+    const transfer = new DataTransfer();
+    files.forEach(({ name, type, data }) => {
+        transfer.items.add(new File([data], name, { type }));
+    });
+
+    const fileInput = document.querySelector('input[type="file"]');
+    if (fileInput) {
+        fileInput.files = transfer.files;
+        fileInput.dispatchEvent(new Event('change', { bubbles: true }));
+    } else {
+        composer.dispatchEvent(new ClipboardEvent('paste', {
+            clipboardData: transfer,
+            bubbles: true,
+            cancelable: true
+        }));
+    }
+}
+
+// Puts text into the page's question box, for endpoints without a search URL
+// and queries too long to fit in one. Files, e.g. a screenshot, are
+// attached first.
+ipcRenderer.on('fill-composer', (event, { text, submit, files }) => {
+    const startedAt = Date.now();
+
+    (function tryFill() {
+        const composer = document.querySelector('textarea, [contenteditable="true"]');
+        if (!composer) {
+            if (Date.now() - startedAt < 10000) {
+                setTimeout(tryFill, 250);
+            }
+            return;
+        }
+
+        composer.focus();
+        if (files && files.length > 0) {
+            attachFiles(composer, files);
+        }
+
+        if (composer instanceof HTMLTextAreaElement) {
+            // React keeps its own copy of the value, go through the native setter
+            // so the input event below is picked up
+            const setValue = Object.getOwnPropertyDescriptor(HTMLTextAreaElement.prototype, 'value').set;
+            setValue.call(composer, text);
+            composer.dispatchEvent(new Event('input', { bubbles: true }));
+        } else {
+            // Rich text editors only notice text inserted like typing
+            document.execCommand('selectAll', false, null);
+            document.execCommand('insertText', false, text);
+        }
+
+        if (submit) {
+            composer.dispatchEvent(new KeyboardEvent('keydown', {
+                key: 'Enter',
+                code: 'Enter',
+                keyCode: 13,
+                bubbles: true
+            }));
+        }
+    })();
+});
+
+// Drops the page has no use for start a new thread like drops on the
+// app window, instead of the page navigating to the file
+window.addEventListener('dragover', (event) => {
+    if (!event.defaultPrevented && event.dataTransfer && event.dataTransfer.types.includes('Files')) {
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'copy';
+    }
+});
+
+window.addEventListener('drop', (event) => {
+    if (event.defaultPrevented || !event.dataTransfer || event.dataTransfer.files.length === 0) return;
+
+    event.preventDefault();
+    ipcRenderer.send('drop-files', Array.from(event.dataTransfer.files).map(file => webUtils.getPathForFile(file)));
+});
+
 window.addEventListener('DOMContentLoaded', () => {
     const isLabs = window.location.hostname.includes('labs.perplexity.ai');
     const isMain = window.location.hostname.includes('perplexity.ai') && !isLabs;
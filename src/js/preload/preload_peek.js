@@ -0,0 +1,16 @@
+// preload_peek.js
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('peekAPI', {
+  onPeekState: (callback) =>
+    ipcRenderer.on('peek-state', (event, state) => callback(state)),
+
+  togglePin: () =>
+    ipcRenderer.send('peek-toggle-pin'),
+
+  promote: () =>
+    ipcRenderer.send('peek-promote'),
+
+  dismiss: () =>
+    ipcRenderer.send('peek-dismiss')
+});
@@ -2,6 +2,8 @@ const { contextBridge, ipcRenderer } = require('electron');
 
 contextBridge.exposeInMainWorld('electronAPI', {
   onSelectedText: (callback) => ipcRenderer.on('set-selected-text', (event, text) => callback(text)),
+  getEndpoints: () => ipcRenderer.invoke('get-endpoints'),
+  getPrefixTemplates: () => ipcRenderer.invoke('get-prefix-templates'),
   performPrefixSearch: (data) => ipcRenderer.send('perform-prefix-search', data),
   closePrefixSearch: () => ipcRenderer.send('close-prefix-search')
 });
\ No newline at end of file
@@ -0,0 +1,10 @@
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('electronAPI', {
+  platform: process.platform,
+  onQuickAskShown: (callback) => ipcRenderer.on('quick-ask-shown', () => callback()),
+  getQuickAskData: () => ipcRenderer.invoke('get-quick-ask-data'),
+  renderQuickAskPreview: (text, template) => ipcRenderer.invoke('render-quick-ask-preview', { text, template }),
+  submitQuickAsk: (data) => ipcRenderer.send('submit-quick-ask', data),
+  closeQuickAsk: () => ipcRenderer.send('close-quick-ask')
+});
@@ -0,0 +1,13 @@
+// preload_screen_capture.js
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('screenCaptureAPI', {
+  onCaptureImage: (callback) =>
+    ipcRenderer.on('screen-capture-image', (event, data) => callback(data)),
+
+  submit: (region, prompt) =>
+    ipcRenderer.send('screen-capture-submit', { region, prompt }),
+
+  cancel: () =>
+    ipcRenderer.send('screen-capture-cancel')
+});
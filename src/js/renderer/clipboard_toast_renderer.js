@@ -0,0 +1,42 @@
+document.addEventListener('DOMContentLoaded', () => {
+  const preview = document.getElementById('preview');
+  const prefixButtons = document.getElementById('prefix-buttons');
+  const closeButton = document.getElementById('close-button');
+  const pauseButton = document.getElementById('pause-button');
+
+  // The suggestion goes away by itself unless the pointer is over it
+  const DISMISS_DELAY = 8000;
+  let dismissTimer = null;
+
+  function scheduleDismiss() {
+    clearTimeout(dismissTimer);
+    dismissTimer = setTimeout(() => window.clipboardToastAPI.dismiss(), DISMISS_DELAY);
+  }
+
+  window.clipboardToastAPI.onSuggestion((data) => {
+    preview.textContent = data.text.replace(/\s+/g, ' ');
+    preview.title = data.text.slice(0, 500);
+
+    prefixButtons.innerHTML = '';
+    data.templates.forEach(template => {
+      const button = document.createElement('button');
+      button.className = 'prefix-button';
+      button.textContent = template.name;
+      button.addEventListener('click', () => window.clipboardToastAPI.search(template.id));
+      prefixButtons.appendChild(button);
+    });
+
+    scheduleDismiss();
+  });
+
+  document.body.addEventListener('mouseenter', () => clearTimeout(dismissTimer));
+  document.body.addEventListener('mouseleave', scheduleDismiss);
+
+  closeButton.addEventListener('click', () => {
+    window.clipboardToastAPI.dismiss();
+  });
+
+  pauseButton.addEventListener('click', () => {
+    window.clipboardToastAPI.pause();
+  });
+});
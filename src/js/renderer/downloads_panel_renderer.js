@@ -0,0 +1,134 @@
+document.addEventListener('DOMContentLoaded', () => {
+  const downloadsList = document.getElementById('downloads-list');
+  const emptyState = document.getElementById('empty-state');
+  const closeButton = document.getElementById('close-button');
+  const clearButton = document.getElementById('clear-button');
+
+  let downloads = [];
+
+  window.downloadsPanelAPI.onDownloadsList((data) => {
+    downloads = data;
+    renderDownloadsList();
+  });
+
+  function formatBytes(bytes) {
+    if (!bytes) return '0 B';
+
+    const units = ['B', 'KB', 'MB', 'GB'];
+    const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    const value = bytes / Math.pow(1024, exponent);
+    return `${value.toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+  }
+
+  function formatStatus(download) {
+    const date = new Intl.DateTimeFormat('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    }).format(new Date(download.startTime));
+
+    switch (download.state) {
+      case 'progressing':
+        return download.totalBytes > 0
+          ? `${formatBytes(download.receivedBytes)} of ${formatBytes(download.totalBytes)}`
+          : formatBytes(download.receivedBytes);
+      case 'completed':
+        return `${formatBytes(download.totalBytes || download.receivedBytes)} · ${date}`;
+      case 'cancelled':
+        return `Cancelled · ${date}`;
+      default:
+        return `Failed · ${date}`;
+    }
+  }
+
+  function createActionButton(label, action) {
+    const button = document.createElement('button');
+    button.className = 'item-action';
+    button.textContent = label;
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      action();
+    });
+    return button;
+  }
+
+  function renderDownloadsList() {
+    downloadsList.innerHTML = '';
+
+    if (downloads.length === 0) {
+      emptyState.style.display = 'flex';
+      return;
+    }
+
+    emptyState.style.display = 'none';
+
+    downloads.forEach(download => {
+      const api = window.downloadsPanelAPI;
+      const isFailed = download.state === 'cancelled' || download.state === 'interrupted';
+
+      const downloadItem = document.createElement('div');
+      downloadItem.className = `download-item ${isFailed ? 'failed' : ''}`;
+      downloadItem.dataset.id = download.id;
+
+      const name = document.createElement('div');
+      name.className = 'download-name';
+      name.textContent = download.filename;
+      name.title = download.url;
+      downloadItem.appendChild(name);
+
+      if (download.state === 'progressing') {
+        const progress = document.createElement('div');
+        progress.className = 'download-progress';
+        const bar = document.createElement('div');
+        bar.className = 'download-progress-bar';
+
+        if (download.totalBytes > 0) {
+          bar.style.width = `${Math.round(download.receivedBytes / download.totalBytes * 100)}%`;
+        } else {
+          progress.classList.add('indeterminate');
+        }
+
+        progress.appendChild(bar);
+        downloadItem.appendChild(progress);
+      }
+
+      const status = document.createElement('div');
+      status.className = 'download-status';
+      status.textContent = formatStatus(download);
+      downloadItem.appendChild(status);
+
+      const actions = document.createElement('div');
+      actions.className = 'download-actions';
+
+      if (download.state === 'progressing') {
+        actions.appendChild(createActionButton('Cancel', () => api.cancelDownload(download.id)));
+      } else if (download.state === 'completed') {
+        actions.appendChild(createActionButton('Open', () => api.openDownload(download.id)));
+        actions.appendChild(createActionButton('Show in Folder', () => api.showInFolder(download.id)));
+      } else {
+        actions.appendChild(createActionButton('Retry', () => api.retryDownload(download.id)));
+      }
+
+      if (download.state !== 'progressing') {
+        actions.appendChild(createActionButton('Remove', () => api.removeDownload(download.id)));
+      }
+
+      downloadItem.appendChild(actions);
+
+      if (download.state === 'completed') {
+        downloadItem.addEventListener('dblclick', () => api.openDownload(download.id));
+      }
+
+      downloadsList.appendChild(downloadItem);
+    });
+  }
+
+  closeButton.addEventListener('click', () => {
+    window.downloadsPanelAPI.closePanel();
+  });
+
+  clearButton.addEventListener('click', () => {
+    window.downloadsPanelAPI.clearFinished();
+  });
+});
@@ -0,0 +1,199 @@
+document.addEventListener('DOMContentLoaded', () => {
+  const historyList = document.getElementById('history-list');
+  const emptyState = document.getElementById('empty-state');
+  const emptyTitle = document.getElementById('empty-title');
+  const emptyText = document.getElementById('empty-text');
+  const filterInput = document.getElementById('filter-input');
+  const selectAll = document.getElementById('select-all');
+  const pausedBanner = document.getElementById('paused-banner');
+  const resumeButton = document.getElementById('resume-button');
+  const closeButton = document.getElementById('close-button');
+  const clearButton = document.getElementById('clear-button');
+  const deleteSelectedButton = document.getElementById('delete-selected-button');
+
+  const SOURCE_LABELS = {
+    shortcut: 'Shortcut',
+    tray: 'Tray',
+    cli: 'Command line',
+    prefix: 'Prefix search',
+    'quick-ask': 'Quick ask',
+    clipboard: 'Clipboard',
+    history: 'History',
+    app: 'App'
+  };
+
+  let entries = [];
+  const selectedIds = new Set();
+
+  window.historyPanelAPI.onSearchHistory((data) => {
+    entries = data.entries;
+    pausedBanner.style.display = data.paused ? 'flex' : 'none';
+
+    // Forget selections of entries that are gone
+    const ids = new Set(entries.map(entry => entry.id));
+    selectedIds.forEach(id => {
+      if (!ids.has(id)) selectedIds.delete(id);
+    });
+
+    renderHistoryList();
+  });
+
+  function getFilteredEntries() {
+    const filter = filterInput.value.trim().toLowerCase();
+    if (!filter) return entries;
+
+    return entries.filter(entry =>
+      entry.query.toLowerCase().includes(filter)
+      || entry.text.toLowerCase().includes(filter));
+  }
+
+  function formatMeta(entry) {
+    const date = new Intl.DateTimeFormat('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    }).format(new Date(entry.timestamp));
+
+    const parts = [date, SOURCE_LABELS[entry.source] || entry.source];
+    if (entry.template && entry.template !== 'search') {
+      parts.push(entry.template);
+    }
+    return parts.join(' · ');
+  }
+
+  function createActionButton(label, action) {
+    const button = document.createElement('button');
+    button.className = 'item-action';
+    button.textContent = label;
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      action();
+    });
+    return button;
+  }
+
+  function updateSelectionControls(visibleEntries) {
+    deleteSelectedButton.disabled = selectedIds.size === 0;
+    selectAll.checked = visibleEntries.length > 0
+      && visibleEntries.every(entry => selectedIds.has(entry.id));
+  }
+
+  function renderHistoryList() {
+    const visibleEntries = getFilteredEntries();
+    historyList.innerHTML = '';
+    updateSelectionControls(visibleEntries);
+
+    if (visibleEntries.length === 0) {
+      const isFiltered = entries.length > 0;
+      emptyTitle.textContent = isFiltered ? 'No matching searches' : 'No searches yet';
+      emptyText.textContent = isFiltered
+        ? 'Try a different search term'
+        : 'Searches you run from shortcuts, the tray or the prefix menu show up here';
+      emptyState.style.display = 'flex';
+      return;
+    }
+
+    emptyState.style.display = 'none';
+
+    visibleEntries.forEach(entry => {
+      const api = window.historyPanelAPI;
+
+      const historyItem = document.createElement('div');
+      historyItem.className = 'history-item';
+      historyItem.dataset.id = entry.id;
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = selectedIds.has(entry.id);
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) {
+          selectedIds.add(entry.id);
+        } else {
+          selectedIds.delete(entry.id);
+        }
+        updateSelectionControls(visibleEntries);
+      });
+      historyItem.appendChild(checkbox);
+
+      const body = document.createElement('div');
+      body.className = 'history-body';
+
+      const query = document.createElement('div');
+      query.className = 'history-query';
+      query.textContent = entry.query;
+      query.title = entry.threadUrl || entry.url || entry.query;
+      body.appendChild(query);
+
+      const meta = document.createElement('div');
+      meta.className = 'history-meta';
+      meta.textContent = formatMeta(entry);
+      body.appendChild(meta);
+
+      const actions = document.createElement('div');
+      actions.className = 'history-actions';
+      actions.appendChild(createActionButton('Re-run', () => api.rerunSearch(entry.id)));
+      if (entry.threadUrl || entry.url) {
+        actions.appendChild(createActionButton('Open Thread', () => api.openThread(entry.id)));
+      }
+      actions.appendChild(createActionButton('Delete', () => api.deleteEntries([entry.id])));
+      body.appendChild(actions);
+
+      historyItem.appendChild(body);
+      historyItem.addEventListener('dblclick', () => {
+        if (entry.threadUrl || entry.url) {
+          api.openThread(entry.id);
+        } else {
+          api.rerunSearch(entry.id);
+        }
+      });
+
+      historyList.appendChild(historyItem);
+    });
+  }
+
+  filterInput.addEventListener('input', renderHistoryList);
+
+  selectAll.addEventListener('change', () => {
+    getFilteredEntries().forEach(entry => {
+      if (selectAll.checked) {
+        selectedIds.add(entry.id);
+      } else {
+        selectedIds.delete(entry.id);
+      }
+    });
+    renderHistoryList();
+  });
+
+  deleteSelectedButton.addEventListener('click', () => {
+    if (selectedIds.size === 0) return;
+    window.historyPanelAPI.deleteEntries([...selectedIds]);
+    selectedIds.clear();
+  });
+
+  clearButton.addEventListener('click', () => {
+    if (entries.length === 0) return;
+    if (confirm('Delete your entire search history?')) {
+      window.historyPanelAPI.clearHistory();
+    }
+  });
+
+  resumeButton.addEventListener('click', () => {
+    window.historyPanelAPI.setPaused(false);
+  });
+
+  closeButton.addEventListener('click', () => {
+    window.historyPanelAPI.closePanel();
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      if (filterInput.value) {
+        filterInput.value = '';
+        renderHistoryList();
+      } else {
+        window.historyPanelAPI.closePanel();
+      }
+    }
+  });
+});
@@ -8,7 +8,10 @@ document.addEventListener('DOMContentLoaded', () => {
       sendToTray: document.getElementById('shortcut-sendToTray'),
       restoreApp: document.getElementById('shortcut-restoreApp'),
       quickSearch: document.getElementById('shortcut-quickSearch'),
-      customPrefixSearch: document.getElementById('shortcut-customPrefixSearch')
+      customPrefixSearch: document.getElementById('shortcut-customPrefixSearch'),
+      swapSplitFocus: document.getElementById('shortcut-swapSplitFocus'),
+      quickAsk: document.getElementById('shortcut-quickAsk'),
+      screenshotAsk: document.getElementById('shortcut-screenshotAsk')
     };
     
     const shortcutToggles = {
@@ -17,10 +20,37 @@ document.addEventListener('DOMContentLoaded', () => {
       sendToTray: document.getElementById('toggle-sendToTray'),
       restoreApp: document.getElementById('toggle-restoreApp'),
       quickSearch: document.getElementById('toggle-quickSearch'),
-      customPrefixSearch: document.getElementById('toggle-customPrefixSearch')
+      customPrefixSearch: document.getElementById('toggle-customPrefixSearch'),
+      swapSplitFocus: document.getElementById('toggle-swapSplitFocus'),
+      quickAsk: document.getElementById('toggle-quickAsk'),
+      screenshotAsk: document.getElementById('toggle-screenshotAsk')
     };
     
     const defaultAISelect = document.getElementById('defaultAI');
+    const searchEndpointSelect = document.getElementById('searchEndpoint');
+    const endpointList = document.getElementById('endpoint-list');
+    // Custom endpoint shortcuts live in the shortcut maps under this prefix so
+    // capture and duplicate checks treat them like the builtin ones
+    const ENDPOINT_SHORTCUT_PREFIX = 'endpoint:';
+    let endpointCards = [];
+    const linkRuleList = document.getElementById('link-rule-list');
+    const selectionBackendList = document.getElementById('selection-backend-list');
+    const prefixTemplateList = document.getElementById('prefix-template-list');
+    let templateIcons = [];
+    // Prefix template shortcuts are kept in the shortcut maps the same way
+    const TEMPLATE_SHORTCUT_PREFIX = 'template:';
+    const TEMPLATE_SHORTCUT_TARGETS = [
+      { value: 'current', label: 'Current Tab' },
+      { value: 'new', label: 'New Tab' },
+      { value: 'labs', label: 'Labs' },
+      { value: 'peek', label: 'Peek Overlay' }
+    ];
+    const LINK_ACTIONS = [
+      { value: 'new-tab', label: 'New Tab' },
+      { value: 'current-view', label: 'Current View' },
+      { value: 'external', label: 'System Browser' },
+      { value: 'block', label: 'Block' }
+    ];
     let newShortcuts = {};
     let savedShortcuts = {};
     const isMac = window.electronAPI.platform === 'darwin';
@@ -75,6 +105,12 @@ document.addEventListener('DOMContentLoaded', () => {
       }
     }
 
+    function formatShortcut(shortcutKey) {
+      return isMac 
+        ? (shortcutKey || '').replace(/Control/g, 'Ctrl') 
+        : (shortcutKey || '').replace(/Command/g, 'Ctrl');
+    }
+
     function loadCurrentShortcuts() {
       for (const [key, input] of Object.entries(shortcutFields)) {
         if (!input) continue;
@@ -99,11 +135,7 @@ document.addEventListener('DOMContentLoaded', () => {
           }
         }
         
-        const displayValue = isMac 
-          ? (shortcutKey || '').replace(/Control/g, 'Ctrl') 
-          : (shortcutKey || '').replace(/Command/g, 'Ctrl');
-          
-        input.value = displayValue;
+        input.value = formatShortcut(shortcutKey);
         
         if (shortcutToggles[key]) {
           shortcutToggles[key].checked = isEnabled;
@@ -135,13 +167,140 @@ document.addEventListener('DOMContentLoaded', () => {
         }
       }
       
+      (data.endpoints || []).forEach(endpoint => {
+        if (!endpoint.builtin && endpoint.shortcut) {
+          processedShortcuts[ENDPOINT_SHORTCUT_PREFIX + endpoint.id] = { ...endpoint.shortcut };
+        }
+      });
+      
+      (data.searchTemplates || []).forEach(template => {
+        if (template.shortcut) {
+          processedShortcuts[TEMPLATE_SHORTCUT_PREFIX + template.id] = { ...template.shortcut };
+        }
+      });
+      
       newShortcuts = { ...processedShortcuts };
       savedShortcuts = { ...processedShortcuts };
+      
+      renderEndpointEditor(data.endpoints || []);
+      populateEndpointSelects(data.endpoints || [], data.defaultAI, data.searchEndpoint);
     
       loadCurrentShortcuts();
       
-      if (defaultAISelect) {
-        defaultAISelect.value = data.defaultAI || 'https://perplexity.ai';
+      // Profile rows copy the Default AI options, so they are built after those exist
+      initProfileSettings();
+      
+      const newTabToggle = document.getElementById('toggle-open-searches-in-new-tab');
+      if (newTabToggle) {
+        newTabToggle.checked = data.openSearchesInNewTab !== false;
+      }
+      
+      const peekToggle = document.getElementById('toggle-prefix-search-peek');
+      if (peekToggle) {
+        peekToggle.checked = data.prefixSearchPeek === true;
+      }
+      
+      const memoryBudgetSelect = document.getElementById('memoryBudget');
+      if (memoryBudgetSelect) {
+        memoryBudgetSelect.value = String(data.memoryBudgetMb);
+      }
+      
+      const urlLengthLimitInput = document.getElementById('searchUrlLengthLimit');
+      if (urlLengthLimitInput) {
+        urlLengthLimitInput.value = String(data.searchUrlLengthLimit);
+      }
+      
+      const longTextWarnInput = document.getElementById('longTextWarnLength');
+      if (longTextWarnInput) {
+        longTextWarnInput.value = String(data.longTextWarnLength);
+      }
+      
+      const longTextSubmitToggle = document.getElementById('toggle-long-text-auto-submit');
+      if (longTextSubmitToggle) {
+        longTextSubmitToggle.checked = data.longTextAutoSubmit !== false;
+      }
+      
+      const screenshotPromptInput = document.getElementById('screenshotPrompt');
+      if (screenshotPromptInput) {
+        screenshotPromptInput.value = data.screenshotPrompt || '';
+      }
+      
+      const sessionRestoreSelect = document.getElementById('sessionRestoreMode');
+      if (sessionRestoreSelect) {
+        sessionRestoreSelect.value = data.sessionRestoreMode || 'ask';
+      }
+      
+      const defaultZoomSelect = document.getElementById('defaultZoom');
+      if (defaultZoomSelect) {
+        defaultZoomSelect.value = String(data.defaultZoom || 1);
+      }
+      
+      const downloadFolderInput = document.getElementById('downloadFolder');
+      if (downloadFolderInput) {
+        downloadFolderInput.value = data.downloadFolder || '';
+        downloadFolderInput.title = data.downloadFolder || '';
+      }
+      
+      const downloadAskToggle = document.getElementById('toggle-download-ask');
+      if (downloadAskToggle) {
+        downloadAskToggle.checked = data.downloadAskEachTime === true;
+      }
+      
+      const historyRetentionSelect = document.getElementById('searchHistoryRetentionDays');
+      if (historyRetentionSelect) {
+        historyRetentionSelect.value = String(data.searchHistoryRetentionDays);
+      }
+      
+      const historyPausedToggle = document.getElementById('toggle-search-history-paused');
+      if (historyPausedToggle) {
+        historyPausedToggle.checked = data.searchHistoryPaused === true;
+      }
+      
+      const clipboardWatchToggle = document.getElementById('toggle-clipboard-watch');
+      if (clipboardWatchToggle) {
+        clipboardWatchToggle.checked = data.clipboardWatchEnabled === true;
+      }
+      
+      const clipboardMinLengthInput = document.getElementById('clipboardWatchMinLength');
+      if (clipboardMinLengthInput) {
+        clipboardMinLengthInput.value = String(data.clipboardWatchMinLength);
+      }
+      
+      const clipboardMaxLengthInput = document.getElementById('clipboardWatchMaxLength');
+      if (clipboardMaxLengthInput) {
+        clipboardMaxLengthInput.value = String(data.clipboardWatchMaxLength);
+      }
+      
+      const clipboardIgnoredAppsInput = document.getElementById('clipboardWatchIgnoredApps');
+      if (clipboardIgnoredAppsInput) {
+        clipboardIgnoredAppsInput.value = (data.clipboardWatchIgnoredApps || []).join(', ');
+      }
+      
+      const clipboardAppNote = document.getElementById('clipboard-app-detection-note');
+      if (clipboardAppNote) {
+        clipboardAppNote.style.display = data.clipboardWatchCanDetectApps ? 'none' : 'block';
+      }
+      
+      const clipboardIgnorePatternsInput = document.getElementById('clipboardWatchIgnorePatterns');
+      if (clipboardIgnorePatternsInput) {
+        clipboardIgnorePatternsInput.value = (data.clipboardWatchIgnorePatterns || []).join('\n');
+      }
+      
+      templateIcons = data.templateIcons || [];
+      renderPrefixTemplates(data.searchTemplates || []);
+      
+      renderLinkRules(data.linkRules || []);
+      
+      renderSelectionBackends(data.selectionBackends || []);
+      
+      const linkDefaultActionSelect = document.getElementById('linkDefaultAction');
+      if (linkDefaultActionSelect) {
+        linkDefaultActionSelect.value = data.linkDefaultAction || 'external';
+      }
+      
+      const linkModifierToggle = document.getElementById('toggle-link-modifier-override');
+      if (linkModifierToggle) {
+        linkModifierToggle.checked = data.linkModifierOverride !== false;
       }
       
       const autostartToggle = document.getElementById('toggle-autostart');
@@ -154,9 +313,15 @@ document.addEventListener('DOMContentLoaded', () => {
       }
     });
 
+    showSelectionBackend();
+
     for (const [key, input] of Object.entries(shortcutFields)) {
       if (!input) continue; 
       
+      attachShortcutCapture(key, input);
+    }
+
+    function attachShortcutCapture(key, input) {
       input.addEventListener('focus', () => {
         input.classList.add('active');
       });
@@ -234,6 +399,508 @@ document.addEventListener('DOMContentLoaded', () => {
       });
     }
 
+    function populateEndpointSelects(endpoints, defaultAI, searchEndpoint) {
+      if (defaultAISelect) {
+        defaultAISelect.innerHTML = '';
+        endpoints.forEach(endpoint => {
+          const option = document.createElement('option');
+          option.value = endpoint.homeUrl;
+          option.textContent = endpoint.name;
+          defaultAISelect.appendChild(option);
+        });
+        defaultAISelect.value = defaultAI || 'https://perplexity.ai';
+        if (!defaultAISelect.value && defaultAISelect.options.length > 0) {
+          defaultAISelect.selectedIndex = 0;
+        }
+      }
+
+      if (searchEndpointSelect) {
+        searchEndpointSelect.innerHTML = '';
+        endpoints.filter(endpoint => endpoint.searchUrl).forEach(endpoint => {
+          const option = document.createElement('option');
+          option.value = endpoint.id;
+          option.textContent = endpoint.name;
+          searchEndpointSelect.appendChild(option);
+        });
+        searchEndpointSelect.value = searchEndpoint || 'perplexity';
+      }
+    }
+
+    function renderEndpointEditor(endpoints) {
+      if (!endpointList) return;
+
+      endpointList.innerHTML = '';
+      endpointCards = [];
+      endpoints.forEach(endpoint => addEndpointCard(endpoint));
+    }
+
+    function createTextInput(value, placeholder) {
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'text-input';
+      input.value = value || '';
+      input.placeholder = placeholder;
+      // Enter would otherwise submit (and close) the settings form
+      input.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+          event.preventDefault();
+        }
+      });
+      return input;
+    }
+
+    function createRow(...children) {
+      const row = document.createElement('div');
+      row.className = 'profile-item';
+      children.forEach(child => row.appendChild(child));
+      return row;
+    }
+
+    function addEndpointCard(endpoint) {
+      const card = document.createElement('div');
+      card.className = 'endpoint-item';
+
+      const nameInput = createTextInput(endpoint.name, 'Name');
+      const iconInput = createTextInput(endpoint.icon, 'Icon path or URL (optional)');
+      const homeUrlInput = createTextInput(endpoint.homeUrl, 'Home URL, e.g. https://example.com');
+      const searchUrlInput = createTextInput(endpoint.searchUrl, 'Search URL with {query} (optional)');
+
+      card.appendChild(createRow(nameInput, iconInput));
+      card.appendChild(createRow(homeUrlInput));
+      card.appendChild(createRow(searchUrlInput));
+
+      const entry = { id: endpoint.id, builtin: endpoint.builtin, nameInput, iconInput, homeUrlInput, searchUrlInput };
+
+      // The builtin endpoints keep their shortcuts in the Shortcuts section
+      if (!endpoint.builtin) {
+        const shortcutKey = ENDPOINT_SHORTCUT_PREFIX + endpoint.id;
+
+        const shortcutRow = document.createElement('div');
+        shortcutRow.className = 'shortcut-item';
+
+        const label = document.createElement('label');
+        label.textContent = 'Shortcut:';
+
+        const shortcutInput = document.createElement('input');
+        shortcutInput.type = 'text';
+        shortcutInput.className = 'shortcut-input';
+        shortcutInput.readOnly = true;
+        shortcutInput.placeholder = 'Press keys...';
+
+        const toggleLabel = document.createElement('label');
+        toggleLabel.className = 'toggle-switch';
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.className = 'toggle-checkbox';
+        const slider = document.createElement('span');
+        slider.className = 'toggle-slider';
+        toggleLabel.append(toggle, slider);
+
+        const deleteButton = document.createElement('button');
+        deleteButton.type = 'button';
+        deleteButton.className = 'action-button';
+        deleteButton.textContent = 'Delete';
+        deleteButton.addEventListener('click', () => {
+          card.remove();
+          endpointCards = endpointCards.filter(other => other !== entry);
+          delete shortcutFields[shortcutKey];
+          delete shortcutToggles[shortcutKey];
+          delete newShortcuts[shortcutKey];
+          checkForDuplicates();
+        });
+
+        shortcutRow.append(label, shortcutInput, toggleLabel, deleteButton);
+        card.appendChild(shortcutRow);
+
+        shortcutFields[shortcutKey] = shortcutInput;
+        shortcutToggles[shortcutKey] = toggle;
+        toggle.addEventListener('change', (event) => {
+          updateToggleState(shortcutKey, event.target.checked);
+        });
+        attachShortcutCapture(shortcutKey, shortcutInput);
+      }
+
+      endpointCards.push(entry);
+      endpointList.appendChild(card);
+      return entry;
+    }
+
+    function collectEndpoints() {
+      return endpointCards.map(entry => {
+        const shortcut = newShortcuts[ENDPOINT_SHORTCUT_PREFIX + entry.id];
+        return {
+          id: entry.id,
+          name: entry.nameInput.value,
+          icon: entry.iconInput.value,
+          homeUrl: entry.homeUrlInput.value.trim(),
+          searchUrl: entry.searchUrlInput.value.trim(),
+          shortcut: shortcut && shortcut.key ? shortcut : null
+        };
+      });
+    }
+
+    function createLinkActionSelect(value) {
+      const select = document.createElement('select');
+      LINK_ACTIONS.forEach(action => {
+        const option = document.createElement('option');
+        option.value = action.value;
+        option.textContent = action.label;
+        select.appendChild(option);
+      });
+      select.value = value;
+      return select;
+    }
+
+    function renderPrefixTemplates(templates) {
+      if (!prefixTemplateList) return;
+
+      prefixTemplateList.innerHTML = '';
+      Object.keys(shortcutFields)
+        .filter(key => key.startsWith(TEMPLATE_SHORTCUT_PREFIX))
+        .forEach(key => {
+          delete shortcutFields[key];
+          delete shortcutToggles[key];
+        });
+      templates.forEach(template => addPrefixTemplateRow(template));
+    }
+
+    function addPrefixTemplateRow(template) {
+      const shortcutKey = TEMPLATE_SHORTCUT_PREFIX + template.id;
+
+      const iconSelect = document.createElement('select');
+      templateIcons.forEach(icon => {
+        const option = document.createElement('option');
+        option.value = icon;
+        option.textContent = icon.charAt(0).toUpperCase() + icon.slice(1);
+        iconSelect.appendChild(option);
+      });
+      iconSelect.value = template.icon || 'search';
+      iconSelect.title = 'Icon';
+
+      const nameInput = createTextInput(template.name, 'Label');
+      const queryInput = createTextInput(template.query, 'Template, e.g. explain {text} in {lang}');
+
+      // The popup numbers entries in this order
+      const upButton = document.createElement('button');
+      upButton.type = 'button';
+      upButton.className = 'action-button';
+      upButton.textContent = '↑';
+      upButton.title = 'Move up';
+
+      const deleteButton = document.createElement('button');
+      deleteButton.type = 'button';
+      deleteButton.className = 'action-button';
+      deleteButton.textContent = 'Delete';
+
+      const card = document.createElement('div');
+      card.className = 'endpoint-item prefix-template-item';
+      card.dataset.id = template.id;
+      card.appendChild(createRow(iconSelect, nameInput, queryInput, upButton, deleteButton));
+
+      // Each template can search the selection straight from its own shortcut
+      const shortcutRow = document.createElement('div');
+      shortcutRow.className = 'shortcut-item';
+
+      const label = document.createElement('label');
+      label.textContent = 'Shortcut:';
+
+      const shortcutInput = document.createElement('input');
+      shortcutInput.type = 'text';
+      shortcutInput.className = 'shortcut-input';
+      shortcutInput.readOnly = true;
+      shortcutInput.placeholder = 'Press keys...';
+
+      const toggleLabel = document.createElement('label');
+      toggleLabel.className = 'toggle-switch';
+      const toggle = document.createElement('input');
+      toggle.type = 'checkbox';
+      toggle.className = 'toggle-checkbox';
+      const slider = document.createElement('span');
+      slider.className = 'toggle-slider';
+      toggleLabel.append(toggle, slider);
+
+      const targetSelect = document.createElement('select');
+      targetSelect.className = 'template-target-select';
+      targetSelect.title = 'Where the search opens';
+      TEMPLATE_SHORTCUT_TARGETS.forEach(target => {
+        const option = document.createElement('option');
+        option.value = target.value;
+        option.textContent = target.label;
+        targetSelect.appendChild(option);
+      });
+
+      shortcutRow.append(label, shortcutInput, toggleLabel, targetSelect);
+      card.appendChild(shortcutRow);
+
+      shortcutFields[shortcutKey] = shortcutInput;
+      shortcutToggles[shortcutKey] = toggle;
+
+      const shortcut = newShortcuts[shortcutKey];
+      if (shortcut) {
+        shortcutInput.value = formatShortcut(shortcut.key);
+        toggle.checked = shortcut.enabled === true;
+        targetSelect.value = shortcut.target || 'new';
+      } else {
+        targetSelect.value = 'new';
+      }
+      updateToggleState(shortcutKey, toggle.checked);
+
+      toggle.addEventListener('change', (event) => {
+        updateToggleState(shortcutKey, event.target.checked);
+      });
+      targetSelect.addEventListener('change', () => {
+        newShortcuts[shortcutKey].target = targetSelect.value;
+      });
+      attachShortcutCapture(shortcutKey, shortcutInput);
+
+      upButton.addEventListener('click', () => {
+        if (card.previousElementSibling) {
+          prefixTemplateList.insertBefore(card, card.previousElementSibling);
+        }
+      });
+      deleteButton.addEventListener('click', () => {
+        card.remove();
+        delete shortcutFields[shortcutKey];
+        delete shortcutToggles[shortcutKey];
+        delete newShortcuts[shortcutKey];
+        checkForDuplicates();
+      });
+
+      prefixTemplateList.appendChild(card);
+      return nameInput;
+    }
+
+    function collectPrefixTemplates() {
+      if (!prefixTemplateList) return undefined;
+
+      return Array.from(prefixTemplateList.querySelectorAll('.prefix-template-item'))
+        .map(card => {
+          const [nameInput, queryInput] = card.querySelectorAll('.text-input');
+          const shortcut = newShortcuts[TEMPLATE_SHORTCUT_PREFIX + card.dataset.id];
+          return {
+            id: card.dataset.id,
+            icon: card.querySelector('select').value,
+            name: nameInput.value.trim(),
+            query: queryInput.value.trim(),
+            shortcut: shortcut && shortcut.key
+              ? { ...shortcut, target: card.querySelector('.template-target-select').value }
+              : null
+          };
+        })
+        .filter(template => template.name && template.query);
+    }
+
+    const addPrefixTemplateButton = document.getElementById('add-prefix-template-button');
+    if (addPrefixTemplateButton) {
+      addPrefixTemplateButton.addEventListener('click', () => {
+        addPrefixTemplateRow({
+          id: `template-${Date.now().toString(36)}`,
+          name: '',
+          icon: 'search',
+          query: '{text}'
+        }).focus();
+      });
+    }
+
+    const resetPrefixTemplatesButton = document.getElementById('reset-prefix-templates-button');
+    if (resetPrefixTemplatesButton) {
+      resetPrefixTemplatesButton.addEventListener('click', async () => {
+        if (confirm('Replace your prefixes with the default ones?')) {
+          const templates = await window.electronAPI.resetSearchTemplates();
+          Object.keys(newShortcuts)
+            .filter(key => key.startsWith(TEMPLATE_SHORTCUT_PREFIX))
+            .forEach(key => {
+              delete newShortcuts[key];
+              delete savedShortcuts[key];
+            });
+          renderPrefixTemplates(templates);
+          checkForDuplicates();
+        }
+      });
+    }
+
+    function renderLinkRules(rules) {
+      if (!linkRuleList) return;
+
+      linkRuleList.innerHTML = '';
+      rules.forEach(rule => addLinkRuleRow(rule));
+    }
+
+    function addLinkRuleRow(rule) {
+      const patternInput = createTextInput(rule.pattern, 'Host or pattern, e.g. *.example.com');
+      const actionSelect = createLinkActionSelect(rule.action);
+
+      // Rules are checked top to bottom, so their order matters
+      const upButton = document.createElement('button');
+      upButton.type = 'button';
+      upButton.className = 'action-button';
+      upButton.textContent = '↑';
+      upButton.title = 'Check this rule earlier';
+
+      const deleteButton = document.createElement('button');
+      deleteButton.type = 'button';
+      deleteButton.className = 'action-button';
+      deleteButton.textContent = 'Delete';
+
+      const row = createRow(patternInput, actionSelect, upButton, deleteButton);
+      row.classList.add('link-rule-item');
+
+      upButton.addEventListener('click', () => {
+        if (row.previousElementSibling) {
+          linkRuleList.insertBefore(row, row.previousElementSibling);
+        }
+      });
+      deleteButton.addEventListener('click', () => row.remove());
+
+      linkRuleList.appendChild(row);
+      return patternInput;
+    }
+
+    function collectLinkRules() {
+      if (!linkRuleList) return undefined;
+
+      return Array.from(linkRuleList.querySelectorAll('.link-rule-item'))
+        .map(row => ({
+          pattern: row.querySelector('.text-input').value.trim(),
+          action: row.querySelector('select').value
+        }))
+        .filter(rule => rule.pattern);
+    }
+
+    function renderSelectionBackends(backends) {
+      if (!selectionBackendList) return;
+
+      selectionBackendList.innerHTML = '';
+      backends.forEach(backend => {
+        const toggle = document.createElement('label');
+        toggle.className = 'toggle-switch';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'toggle-checkbox';
+        checkbox.checked = backend.enabled;
+        const slider = document.createElement('span');
+        slider.className = 'toggle-slider';
+        toggle.append(checkbox, slider);
+
+        const name = document.createElement('span');
+        name.className = 'selection-method-name';
+        name.textContent = backend.name;
+        name.title = backend.description;
+
+        const timeoutInput = createTextInput(String(backend.timeout), 'Timeout (ms)');
+        timeoutInput.type = 'number';
+        timeoutInput.min = '100';
+        timeoutInput.max = '10000';
+        timeoutInput.step = '100';
+        timeoutInput.title = 'Timeout in milliseconds';
+
+        const upButton = document.createElement('button');
+        upButton.type = 'button';
+        upButton.className = 'action-button';
+        upButton.textContent = '↑';
+        upButton.title = 'Try this method earlier';
+
+        const row = createRow(toggle, name, timeoutInput, upButton);
+        row.classList.add('selection-method-item');
+        row.dataset.id = backend.id;
+
+        upButton.addEventListener('click', () => {
+          if (row.previousElementSibling) {
+            selectionBackendList.insertBefore(row, row.previousElementSibling);
+          }
+        });
+
+        selectionBackendList.appendChild(row);
+      });
+    }
+
+    function collectSelectionBackends() {
+      if (!selectionBackendList) return undefined;
+
+      return Array.from(selectionBackendList.querySelectorAll('.selection-method-item'))
+        .map(row => ({
+          id: row.dataset.id,
+          enabled: row.querySelector('.toggle-checkbox').checked,
+          timeout: parseInt(row.querySelector('.text-input').value, 10)
+        }));
+    }
+
+    // The capture runs with saved settings, after a countdown that leaves
+    // time to select text in another app
+    const testSelectionButton = document.getElementById('test-selection-button');
+    const selectionTestResult = document.getElementById('selection-test-result');
+    if (testSelectionButton && selectionTestResult) {
+      testSelectionButton.addEventListener('click', () => {
+        let secondsLeft = 3;
+        testSelectionButton.disabled = true;
+
+        const tick = () => {
+          if (secondsLeft > 0) {
+            selectionTestResult.textContent = `Switch to another app and select some text, capturing in ${secondsLeft}...`;
+            secondsLeft--;
+            setTimeout(tick, 1000);
+            return;
+          }
+
+          selectionTestResult.textContent = 'Capturing...';
+          window.electronAPI.testSelectionCapture().then((result) => {
+            const attempts = result.attempts
+              .map(attempt => `${attempt.name}: ${attempt.status} (${attempt.duration} ms)`)
+              .join(', ');
+
+            if (result.text) {
+              const backend = result.attempts.find(attempt => attempt.id === result.backend);
+              const preview = result.text.length > 60 ? `${result.text.substring(0, 60)}…` : result.text;
+              selectionTestResult.textContent = `Got "${preview}" from ${backend.name} in ${result.duration} ms. ${attempts}`;
+            } else {
+              selectionTestResult.textContent = attempts
+                ? `No text found after ${result.duration} ms. ${attempts}`
+                : 'No capture methods are enabled.';
+            }
+          }).finally(() => {
+            testSelectionButton.disabled = false;
+          });
+        };
+
+        tick();
+      });
+    }
+
+    const addLinkRuleButton = document.getElementById('add-link-rule-button');
+    if (addLinkRuleButton) {
+      addLinkRuleButton.addEventListener('click', () => {
+        addLinkRuleRow({ pattern: '', action: 'new-tab' }).focus();
+      });
+    }
+
+    const chooseDownloadFolderButton = document.getElementById('choose-download-folder-button');
+    if (chooseDownloadFolderButton) {
+      chooseDownloadFolderButton.addEventListener('click', async () => {
+        const folder = await window.electronAPI.chooseDownloadFolder();
+        const downloadFolderInput = document.getElementById('downloadFolder');
+        if (folder && downloadFolderInput) {
+          downloadFolderInput.value = folder;
+          downloadFolderInput.title = folder;
+        }
+      });
+    }
+
+    const addEndpointButton = document.getElementById('add-endpoint-button');
+    if (addEndpointButton) {
+      addEndpointButton.addEventListener('click', () => {
+        const entry = addEndpointCard({
+          id: `endpoint-${Date.now().toString(36)}`,
+          name: '',
+          icon: '',
+          homeUrl: '',
+          searchUrl: '',
+          builtin: false
+        });
+        updateToggleState(ENDPOINT_SHORTCUT_PREFIX + entry.id, false);
+        entry.nameInput.focus();
+      });
+    }
+
     const installContextMenuButton = document.getElementById('install-context-menu');
     if (installContextMenuButton) {
       installContextMenuButton.addEventListener('click', () => {
@@ -276,7 +943,10 @@ document.addEventListener('DOMContentLoaded', () => {
             sendToTray: { key: 'Command+T', enabled: false },
             restoreApp: { key: 'Command+Shift+T', enabled: false },
             quickSearch: { key: 'Command+Shift+X', enabled: false },
-            customPrefixSearch: { key: 'Command+Shift+D', enabled: false }
+            customPrefixSearch: { key: 'Command+Shift+D', enabled: false },
+            swapSplitFocus: { key: 'Command+Shift+S', enabled: false },
+            quickAsk: { key: 'Command+Shift+A', enabled: false },
+            screenshotAsk: { key: 'Command+Shift+R', enabled: false }
           }
         : {
             perplexityAI: { key: 'Control+1', enabled: false },
@@ -284,9 +954,19 @@ document.addEventListener('DOMContentLoaded', () => {
             sendToTray: { key: 'Alt+Shift+W', enabled: false },
             restoreApp: { key: 'Alt+Shift+Q', enabled: false },
             quickSearch: { key: 'Alt+Shift+X', enabled: false },
-            customPrefixSearch: { key: 'Alt+Shift+D', enabled: false }
+            customPrefixSearch: { key: 'Alt+Shift+D', enabled: false },
+            swapSplitFocus: { key: 'Alt+Shift+S', enabled: false },
+            quickAsk: { key: 'Alt+Shift+A', enabled: false },
+            screenshotAsk: { key: 'Alt+Shift+R', enabled: false }
           };
 
+      // Endpoint and template shortcuts have no default to go back to, keep them
+      Object.keys(newShortcuts)
+        .filter(key => key.startsWith(ENDPOINT_SHORTCUT_PREFIX) || key.startsWith(TEMPLATE_SHORTCUT_PREFIX))
+        .forEach(key => {
+          defaultShortcuts[key] = newShortcuts[key];
+        });
+
       newShortcuts = { ...defaultShortcuts };
       savedShortcuts = { ...defaultShortcuts };
       loadCurrentShortcuts();
@@ -296,13 +976,69 @@ document.addEventListener('DOMContentLoaded', () => {
       event.preventDefault();
       if (checkForDuplicates(true)) {
         const autostartToggle = document.getElementById('toggle-autostart');
+        const newTabToggle = document.getElementById('toggle-open-searches-in-new-tab');
+        const peekToggle = document.getElementById('toggle-prefix-search-peek');
+        const memoryBudgetSelect = document.getElementById('memoryBudget');
+        const urlLengthLimitInput = document.getElementById('searchUrlLengthLimit');
+        const longTextWarnInput = document.getElementById('longTextWarnLength');
+        const longTextSubmitToggle = document.getElementById('toggle-long-text-auto-submit');
+        const screenshotPromptInput = document.getElementById('screenshotPrompt');
+        const sessionRestoreSelect = document.getElementById('sessionRestoreMode');
+        const defaultZoomSelect = document.getElementById('defaultZoom');
+        const downloadFolderInput = document.getElementById('downloadFolder');
+        const downloadAskToggle = document.getElementById('toggle-download-ask');
+        const historyRetentionSelect = document.getElementById('searchHistoryRetentionDays');
+        const historyPausedToggle = document.getElementById('toggle-search-history-paused');
+        const clipboardWatchToggle = document.getElementById('toggle-clipboard-watch');
+        const clipboardMinLengthInput = document.getElementById('clipboardWatchMinLength');
+        const clipboardMaxLengthInput = document.getElementById('clipboardWatchMaxLength');
+        const clipboardIgnoredAppsInput = document.getElementById('clipboardWatchIgnoredApps');
+        const clipboardIgnorePatternsInput = document.getElementById('clipboardWatchIgnorePatterns');
+        const linkDefaultActionSelect = document.getElementById('linkDefaultAction');
+        const linkModifierToggle = document.getElementById('toggle-link-modifier-override');
+        
+        const appShortcuts = {};
+        Object.entries(newShortcuts)
+          .filter(([key]) => !key.startsWith(ENDPOINT_SHORTCUT_PREFIX) && !key.startsWith(TEMPLATE_SHORTCUT_PREFIX))
+          .forEach(([key, value]) => {
+            appShortcuts[key] = value;
+          });
         
         const settingsToSave = {
-          shortcuts: newShortcuts,
+          shortcuts: appShortcuts,
+          endpoints: collectEndpoints(),
+          searchEndpoint: searchEndpointSelect ? searchEndpointSelect.value : undefined,
           defaultAI: defaultAISelect.value,
           disableHardwareAcceleration: document.getElementById('toggle-hardware-acceleration') 
             ? document.getElementById('toggle-hardware-acceleration').checked 
             : false,
+          openSearchesInNewTab: newTabToggle ? newTabToggle.checked : true,
+          prefixSearchPeek: peekToggle ? peekToggle.checked : undefined,
+          memoryBudgetMb: memoryBudgetSelect ? parseInt(memoryBudgetSelect.value, 10) : undefined,
+          searchUrlLengthLimit: urlLengthLimitInput ? parseInt(urlLengthLimitInput.value, 10) : undefined,
+          longTextWarnLength: longTextWarnInput ? parseInt(longTextWarnInput.value, 10) : undefined,
+          longTextAutoSubmit: longTextSubmitToggle ? longTextSubmitToggle.checked : undefined,
+          screenshotPrompt: screenshotPromptInput ? screenshotPromptInput.value : undefined,
+          sessionRestoreMode: sessionRestoreSelect ? sessionRestoreSelect.value : undefined,
+          defaultZoom: defaultZoomSelect ? parseFloat(defaultZoomSelect.value) : undefined,
+          downloadFolder: downloadFolderInput ? downloadFolderInput.value : undefined,
+          downloadAskEachTime: downloadAskToggle ? downloadAskToggle.checked : undefined,
+          searchHistoryRetentionDays: historyRetentionSelect ? parseInt(historyRetentionSelect.value, 10) : undefined,
+          searchHistoryPaused: historyPausedToggle ? historyPausedToggle.checked : undefined,
+          clipboardWatchEnabled: clipboardWatchToggle ? clipboardWatchToggle.checked : undefined,
+          clipboardWatchMinLength: clipboardMinLengthInput ? parseInt(clipboardMinLengthInput.value, 10) : undefined,
+          clipboardWatchMaxLength: clipboardMaxLengthInput ? parseInt(clipboardMaxLengthInput.value, 10) : undefined,
+          clipboardWatchIgnoredApps: clipboardIgnoredAppsInput
+            ? clipboardIgnoredAppsInput.value.split(',')
+            : undefined,
+          clipboardWatchIgnorePatterns: clipboardIgnorePatternsInput
+            ? clipboardIgnorePatternsInput.value.split('\n')
+            : undefined,
+          searchTemplates: collectPrefixTemplates(),
+          linkRules: collectLinkRules(),
+          linkDefaultAction: linkDefaultActionSelect ? linkDefaultActionSelect.value : undefined,
+          linkModifierOverride: linkModifierToggle ? linkModifierToggle.checked : undefined,
+          selectionBackends: collectSelectionBackends(),
           autoStartEnabled: autostartToggle ? autostartToggle.checked : false
         };
         window.electronAPI.setSettings(settingsToSave);
@@ -402,8 +1138,21 @@ document.addEventListener('DOMContentLoaded', () => {
         sendToTray: 'Send to Tray',
         restoreApp: 'Restore App',
         quickSearch: 'Quick Search',
-        customPrefixSearch: 'Custom Prefix'
+        customPrefixSearch: 'Custom Prefix',
+        swapSplitFocus: 'Swap Split Focus',
+        quickAsk: 'Quick Ask',
+        screenshotAsk: 'Ask About Screenshot'
       };
+      if (key.startsWith(ENDPOINT_SHORTCUT_PREFIX)) {
+        const entry = endpointCards.find(card => ENDPOINT_SHORTCUT_PREFIX + card.id === key);
+        return entry && entry.nameInput.value.trim() ? entry.nameInput.value.trim() : 'Custom Endpoint';
+      }
+      if (key.startsWith(TEMPLATE_SHORTCUT_PREFIX)) {
+        const input = shortcutFields[key];
+        const card = input && input.closest('.prefix-template-item');
+        const name = card ? card.querySelector('.text-input').value.trim() : '';
+        return name ? `Prefix: ${name}` : 'Prefix';
+      }
       return nameMap[key] || key;
     }
     
@@ -414,7 +1163,10 @@ document.addEventListener('DOMContentLoaded', () => {
         sendToTray: 'Command+T',
         restoreApp: 'Command+Shift+T',
         quickSearch: 'Command+Shift+P',
-        customPrefixSearch: 'Command+Shift+C'
+        customPrefixSearch: 'Command+Shift+C',
+        swapSplitFocus: 'Command+Shift+S',
+        quickAsk: 'Command+Shift+A',
+        screenshotAsk: 'Command+Shift+R'
       };
       return defaults[key] || '';
     }
@@ -426,14 +1178,87 @@ document.addEventListener('DOMContentLoaded', () => {
         sendToTray: 'Alt+Shift+W',
         restoreApp: 'Alt+Shift+Q',
         quickSearch: 'Alt+Shift+X',
-        customPrefixSearch: 'Alt+Shift+D'
+        customPrefixSearch: 'Alt+Shift+D',
+        swapSplitFocus: 'Alt+Shift+S',
+        quickAsk: 'Alt+Shift+A',
+        screenshotAsk: 'Alt+Shift+R'
       };
       return defaults[key] || '';
     }
   } else if (document.getElementById('prefix-search-container')) {
-    const prefixButtons = document.querySelectorAll('.prefix-button');
+    const prefixGrid = document.getElementById('prefix-grid');
+    const prefixFilter = document.getElementById('prefix-filter');
     const selectedTextElement = document.getElementById('selected-text');
+    const endpointSelect = document.getElementById('endpoint-select');
     let selectedText = '';
+    let templates = [];
+    let visibleTemplates = [];
+    let highlightedIndex = 0;
+    
+    // Inner markup of the 24x24 icons prefix templates can pick, the names
+    // match ICONS in search-template-engine.js
+    const PREFIX_ICONS = {
+      search:
+        '<path d="M21 21L16.65 16.65M19 11C19 15.4183 15.4183 19 11 19C6.58172 19 3 15.4183 3 11C3 6.58172 6.58172 3 11 3C15.4183 3 19 6.58172 19 11Z" stroke="#20808D" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>',
+      lightbulb:
+        '<path d="M9.66347 17H14.3364" stroke="#20808D" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>' +
+        '<path d="M12 3V4" stroke="#20808D" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>' +
+        '<path d="M12 20V21" stroke="#20808D" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>' +
+        '<path d="M20 12H21" stroke="#20808D" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>' +
+        '<path d="M3 12H4" stroke="#20808D" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>' +
+        '<path d="M18.3639 5.63604L17.6568 6.34315" stroke="#20808D" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>' +
+        '<path d="M6.34309 17.6569L5.63599 18.364" stroke="#20808D" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>' +
+        '<path d="M18.3639 18.364L17.6568 17.6569" stroke="#20808D" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>' +
+        '<path d="M6.34309 6.34315L5.63599 5.63604" stroke="#20808D" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>' +
+        '<path d="M12 16C14.2091 16 16 14.2091 16 12C16 9.79086 14.2091 8 12 8C9.79086 8 8 9.79086 8 12C8 14.2091 9.79086 16 12 16Z" fill="#20808D"/>',
+      document:
+        '<path d="M8 2H6C4.89543 2 4 2.89543 4 4V20C4 21.1046 4.89543 22 6 22H18C19.1046 22 20 21.1046 20 20V4C20 2.89543 19.1046 2 18 2H16" stroke="#20808D" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>' +
+        '<path d="M12 11H16" stroke="#20808D" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>' +
+        '<path d="M12 16H16" stroke="#20808D" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>' +
+        '<path d="M8 11H8.01" stroke="#20808D" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>' +
+        '<path d="M8 16H8.01" stroke="#20808D" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>' +
+        '<path d="M8 2V6C8 7.10457 8.89543 8 10 8H14C15.1046 8 16 7.10457 16 6V2" stroke="#20808D" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>',
+      book:
+        '<path d="M4 19.5C4 18.837 4.26339 18.2011 4.73223 17.7322C5.20107 17.2634 5.83696 17 6.5 17H20" stroke="#20808D" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>' +
+        '<path d="M6.5 2H20V22H6.5C5.83696 22 5.20107 21.7366 4.73223 21.2678C4.26339 20.7989 4 20.163 4 19.5V4.5C4 3.83696 4.26339 3.20107 4.73223 2.73223C5.20107 2.26339 5.83696 2 6.5 2Z" stroke="#20808D" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>' +
+        '<path d="M10 9H14" stroke="#20808D" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>' +
+        '<path d="M10 13H16" stroke="#20808D" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>',
+      globe:
+        '<path d="M12 22C17.5228 22 22 17.5228 22 12C22 6.47715 17.5228 2 12 2C6.47715 2 2 6.47715 2 12C2 17.5228 6.47715 22 12 22Z" stroke="#20808D" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>' +
+        '<path d="M2 12H22" stroke="#20808D" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>' +
+        '<path d="M12 2C14.5013 4.73835 15.9228 8.29203 16 12C15.9228 15.708 14.5013 19.2616 12 22C9.49872 19.2616 8.07725 15.708 8 12C8.07725 8.29203 9.49872 4.73835 12 2Z" stroke="#20808D" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>',
+      clipboard:
+        '<path d="M9 5H7C5.89543 5 5 5.89543 5 7V19C5 20.1046 5.89543 21 7 21H17C18.1046 21 19 20.1046 19 19V7C19 5.89543 18.1046 5 17 5H15" stroke="#20808D" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>' +
+        '<path d="M9 5C9 3.89543 9.89543 3 11 3H13C14.1046 3 15 3.89543 15 5C15 6.10457 14.1046 7 13 7H11C9.89543 7 9 6.10457 9 5Z" stroke="#20808D" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>' +
+        '<path d="M9 12H15" stroke="#20808D" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>' +
+        '<path d="M9 16H15" stroke="#20808D" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>',
+      code:
+        '<path d="M16 18L22 12L16 6" stroke="#20808D" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>' +
+        '<path d="M8 6L2 12L8 18" stroke="#20808D" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>',
+      chat:
+        '<path d="M21 11.5C21 16.1944 16.9706 20 12 20C10.7 20 9.46 19.74 8.34 19.27L3 21L4.6 16.9C3.6 15.4 3 13.5 3 11.5C3 6.80558 7.02944 3 12 3C16.9706 3 21 6.80558 21 11.5Z" stroke="#20808D" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>'
+    };
+    
+    if (endpointSelect) {
+      window.electronAPI.getEndpoints().then((endpoints) => {
+        const searchEndpoints = endpoints.filter(endpoint => endpoint.searchUrl);
+        
+        // Empty value leaves the choice to the "Search With" setting
+        const defaultOption = document.createElement('option');
+        defaultOption.value = '';
+        defaultOption.textContent = 'Default';
+        endpointSelect.appendChild(defaultOption);
+        
+        searchEndpoints.forEach(endpoint => {
+          const option = document.createElement('option');
+          option.value = endpoint.id;
+          option.textContent = endpoint.name;
+          endpointSelect.appendChild(option);
+        });
+        // Only worth showing once there is more than one place to search
+        endpointSelect.hidden = searchEndpoints.length < 2;
+      });
+    }
     
     window.electronAPI.onSelectedText((text) => {
       selectedText = text;
@@ -447,16 +1272,116 @@ document.addEventListener('DOMContentLoaded', () => {
       }
     });
     
-    prefixButtons.forEach(button => {
-      button.addEventListener('click', () => {
-        const prefix = button.getAttribute('data-prefix') || '';
+    window.electronAPI.getPrefixTemplates().then((prefixTemplates) => {
+      templates = prefixTemplates;
+      renderPrefixButtons();
+    });
+    
+    /**
+     * How well the filter matches text, -1 when its letters don't all appear
+     * in order. Runs of letters and matches at word starts count extra.
+     */
+    function fuzzyScore(filter, text) {
+      const target = text.toLowerCase();
+      let score = 0;
+      let position = -1;
+      
+      for (const char of filter.toLowerCase()) {
+        const found = target.indexOf(char, position + 1);
+        if (found === -1) return -1;
+        
+        score += 1;
+        if (found === position + 1) score += 2;
+        if (found === 0 || /\W/.test(target[found - 1])) score += 3;
+        position = found;
+      }
+      return score;
+    }
+    
+    function filterTemplates() {
+      const filter = prefixFilter ? prefixFilter.value.trim() : '';
+      if (!filter) return templates;
+      
+      return templates
+        .map(template => ({
+          template,
+          // The label counts double, it is what the user reads
+          score: Math.max(fuzzyScore(filter, template.name) * 2, fuzzyScore(filter, template.query))
+        }))
+        .filter(match => match.score >= 0)
+        .sort((a, b) => b.score - a.score)
+        .map(match => match.template);
+    }
+    
+    function renderPrefixButtons() {
+      visibleTemplates = filterTemplates();
+      highlightedIndex = Math.min(highlightedIndex, Math.max(visibleTemplates.length - 1, 0));
+      prefixGrid.innerHTML = '';
+      
+      if (visibleTemplates.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'prefix-empty';
+        empty.textContent = 'No matching prefix';
+        prefixGrid.appendChild(empty);
+        return;
+      }
+      
+      visibleTemplates.forEach((template, index) => {
+        const button = document.createElement('button');
+        button.className = 'prefix-button';
+        button.classList.toggle('highlighted', index === highlightedIndex);
+        button.dataset.template = template.id;
+        button.title = template.query;
+        
+        const icon = document.createElement('div');
+        icon.className = 'prefix-icon';
+        icon.innerHTML = `<svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">${PREFIX_ICONS[template.icon] || PREFIX_ICONS.search}</svg>`;
+        button.appendChild(icon);
+        button.appendChild(document.createTextNode(template.name));
+        
+        // Keys 1-9 and 0 pick the first ten
+        if (index < 10) {
+          const shortcut = document.createElement('span');
+          shortcut.className = 'shortcut';
+          shortcut.textContent = String((index + 1) % 10);
+          button.appendChild(shortcut);
+        }
         
-        window.electronAPI.performPrefixSearch({
-          text: selectedText,
-          prefix: prefix
+        button.addEventListener('click', (event) => {
+          performPrefixSearch(template, event.shiftKey);
         });
+        prefixGrid.appendChild(button);
       });
-    });
+      
+      const highlighted = prefixGrid.children[highlightedIndex];
+      if (highlighted) {
+        highlighted.scrollIntoView({ block: 'nearest' });
+      }
+    }
+    
+    function moveHighlight(offset) {
+      if (visibleTemplates.length === 0) return;
+      highlightedIndex = Math.min(Math.max(highlightedIndex + offset, 0), visibleTemplates.length - 1);
+      renderPrefixButtons();
+    }
+    
+    function performPrefixSearch(template, invertPeek) {
+      window.electronAPI.performPrefixSearch({
+        text: selectedText,
+        template: template.id,
+        endpointId: endpointSelect && endpointSelect.value ? endpointSelect.value : undefined,
+        // Shift picks the other of main window and peek overlay for this search
+        invertPeek
+      });
+    }
+    
+    if (prefixFilter) {
+      prefixFilter.focus();
+      prefixFilter.addEventListener('input', () => {
+        highlightedIndex = 0;
+        renderPrefixButtons();
+      });
+    }
     
     const closeButton = document.getElementById('close-button');
     if (closeButton) {
@@ -467,23 +1392,167 @@ document.addEventListener('DOMContentLoaded', () => {
     
     document.addEventListener('keydown', (event) => {
       if (event.key === 'Escape') {
-        window.electronAPI.closePrefixSearch();
+        if (prefixFilter && prefixFilter.value) {
+          prefixFilter.value = '';
+          highlightedIndex = 0;
+          renderPrefixButtons();
+        } else {
+          window.electronAPI.closePrefixSearch();
+        }
+        return;
+      }
+      
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        if (visibleTemplates[highlightedIndex]) {
+          performPrefixSearch(visibleTemplates[highlightedIndex], event.shiftKey);
+        }
+        return;
+      }
+      
+      // The grid has three columns
+      const moves = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -3, ArrowDown: 3 };
+      if (moves[event.key] !== undefined) {
+        event.preventDefault();
+        moveHighlight(moves[event.key]);
+        return;
       }
       
-      if (['1', '2', '3', '4', '5', '6'].includes(event.key)) {
-        const index = parseInt(event.key) - 1;
-        const buttons = document.querySelectorAll('.prefix-button');
+      // Digit codes still match when Shift turns the key into a symbol,
+      // digits never go into the filter
+      const digit = /^(Digit|Numpad)([0-9])$/.exec(event.code);
+      if (digit) {
+        event.preventDefault();
+        const index = (parseInt(digit[2]) + 9) % 10;
         
-        if (index >= 0 && index < buttons.length) {
-          buttons[index].click();
+        if (index < visibleTemplates.length) {
+          performPrefixSearch(visibleTemplates[index], event.shiftKey);
         }
       }
     });
-  } else {
-    const loading = document.getElementById('loading');
-    if (loading) {
-      window.electronAPI.onPageLoading((isLoading) => {
-        if (isLoading) {
+  } else if (document.getElementById('quick-ask-container')) {
+    const input = document.getElementById('quick-ask-input');
+    const templateChip = document.getElementById('template-chip');
+    const preview = document.getElementById('quick-ask-preview');
+    const instructions = document.getElementById('quick-ask-instructions');
+    const modifierName = window.electronAPI.platform === 'darwin' ? 'Cmd' : 'Ctrl';
+    let templates = [];
+    let history = [];
+    let templateIndex = 0;
+    // -1 is the text being typed, 0 and up walk back through history
+    let historyIndex = -1;
+    let draft = '';
+    let newTabByDefault = true;
+    // Previews come back asynchronously, only the latest request may show
+    let previewRequest = 0;
+
+    function renderTemplate() {
+      const template = templates[templateIndex];
+      templateChip.textContent = template ? template.name : '';
+
+      const text = input.value.trim();
+      const request = ++previewRequest;
+      if (!template || !text) {
+        preview.textContent = '';
+        return;
+      }
+
+      window.electronAPI.renderQuickAskPreview(text, template.id).then((query) => {
+        if (request === previewRequest) {
+          preview.textContent = query;
+        }
+      }).catch(console.error);
+    }
+
+    function renderInstructions() {
+      const enterTarget = newTabByDefault ? 'new tab' : 'current tab';
+      const modifierTarget = newTabByDefault ? 'current tab' : 'new tab';
+      instructions.textContent = `Enter: ${enterTarget} · ${modifierName}+Enter: ${modifierTarget} · ` +
+        'Shift+Enter: Labs · Tab: search type · ↑↓: recent';
+    }
+
+    function cycleTemplate(step) {
+      if (templates.length === 0) return;
+      templateIndex = (templateIndex + step + templates.length) % templates.length;
+      renderTemplate();
+    }
+
+    function recall(step) {
+      const next = Math.max(-1, Math.min(historyIndex + step, history.length - 1));
+      if (next === historyIndex) return;
+
+      if (historyIndex === -1) {
+        draft = input.value;
+      }
+      historyIndex = next;
+      input.value = historyIndex === -1 ? draft : history[historyIndex];
+      input.setSelectionRange(input.value.length, input.value.length);
+      renderTemplate();
+    }
+
+    function reset() {
+      window.electronAPI.getQuickAskData().then((data) => {
+        templates = data.templates;
+        history = data.history;
+        newTabByDefault = data.openSearchesInNewTab !== false;
+        templateIndex = 0;
+        historyIndex = -1;
+        draft = '';
+        input.value = '';
+        renderTemplate();
+        renderInstructions();
+        input.focus();
+      });
+    }
+
+    window.electronAPI.onQuickAskShown(reset);
+
+    templateChip.addEventListener('click', () => {
+      cycleTemplate(1);
+      input.focus();
+    });
+
+    input.addEventListener('input', () => {
+      historyIndex = -1;
+      renderTemplate();
+    });
+
+    input.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') {
+        window.electronAPI.closeQuickAsk();
+      } else if (event.key === 'Tab') {
+        event.preventDefault();
+        cycleTemplate(event.shiftKey ? -1 : 1);
+      } else if (event.key === 'ArrowUp') {
+        event.preventDefault();
+        recall(1);
+      } else if (event.key === 'ArrowDown') {
+        event.preventDefault();
+        recall(-1);
+      } else if (event.key === 'Enter') {
+        event.preventDefault();
+        if (!input.value.trim()) return;
+
+        const hasModifier = event.ctrlKey || event.metaKey;
+        let target;
+        if (event.shiftKey) {
+          target = 'labs';
+        } else {
+          target = newTabByDefault !== hasModifier ? 'new' : 'current';
+        }
+
+        window.electronAPI.submitQuickAsk({
+          text: input.value,
+          template: templates[templateIndex] ? templates[templateIndex].id : undefined,
+          target
+        });
+      }
+    });
+  } else {
+    const loading = document.getElementById('loading');
+    if (loading) {
+      window.electronAPI.onPageLoading((isLoading) => {
+        if (isLoading) {
           loading.classList.add('show');
         } else {
           loading.classList.remove('show');
@@ -500,37 +1569,65 @@ document.addEventListener('DOMContentLoaded', () => {
     
     initNavigationButtons();
     
+    initTabs();
+    
+    initSplitView();
+    
+    initProfiles();
+    
+    initFindBar();
+    
     initNotifications();
     
+    initDownloads();
+    
+    initSearchHistory();
+    
     initQuickSearch();
+    
+    initDropTarget();
   }
 });
 
+/**
+ * Show which display server and tools capture the selection, Linux only
+ */
+function showSelectionBackend() {
+  const backendItem = document.getElementById('selection-backend-item');
+  const backendInput = document.getElementById('selectionBackend');
+  if (!backendItem || window.electronAPI.platform !== 'linux') return;
+
+  window.electronAPI.getSelectionBackend().then((backend) => {
+    if (!backend || !backend.session) return;
+
+    const sessionName = backend.session === 'wayland' ? 'Wayland' : 'X11';
+    const tools = [backend.reader, backend.copier].filter(Boolean);
+    let description = tools.length > 0 ? `${sessionName} (${tools.join(', ')})` : sessionName;
+    if (backend.missing.length > 0) {
+      description += ` - missing ${backend.missing.join(', ')}`;
+    }
+
+    backendInput.value = description;
+    backendInput.title = description;
+    backendItem.style.display = '';
+  });
+}
+
 function closeSettings() {
   window.electronAPI.closeSettings();
 }
 
 function initNavigationButtons() {
-  const perplexityAIButton = document.querySelector('.menu-item[onclick*="perplexity.ai"]');
-  const perplexityLabsButton = document.querySelector('.menu-item[onclick*="labs.perplexity.ai"]');
-  const refreshButton = document.querySelector('.menu-item[onclick*="refresh"]');
+  const reloadButton = document.getElementById('reload-button');
   
-  if (perplexityAIButton) {
-    perplexityAIButton.addEventListener('click', (event) => {
-      event.preventDefault();
-      window.electronAPI.switchAITool('https://perplexity.ai');
-    });
-  }
+  initEndpointButtons();
   
-  if (perplexityLabsButton) {
-    perplexityLabsButton.addEventListener('click', (event) => {
-      event.preventDefault();
-      window.electronAPI.switchAITool('https://labs.perplexity.ai');
-    });
-  }
+  initHistoryControls();
+  
+  initZoomIndicator();
   
-  if (refreshButton) {
-    refreshButton.addEventListener('click', (event) => {
+  if (reloadButton) {
+    reloadButton.addEventListener('click', (event) => {
       event.preventDefault();
       window.electronAPI.switchAITool('refresh');
     });
@@ -545,6 +1642,595 @@ function initNavigationButtons() {
   }
 }
 
+function initHistoryControls() {
+  const backButton = document.getElementById('back-button');
+  const forwardButton = document.getElementById('forward-button');
+  const LONG_PRESS_DELAY = 500;
+  let longPressTimer = null;
+  let longPressed = false;
+
+  if (!backButton || !forwardButton) return;
+
+  window.electronAPI.onTabsUpdated(({ navigation }) => {
+    if (!navigation) return;
+    backButton.classList.toggle('disabled', !navigation.canGoBack);
+    forwardButton.classList.toggle('disabled', !navigation.canGoForward);
+  });
+
+  backButton.addEventListener('pointerdown', (event) => {
+    if (event.button !== 0) return;
+    longPressed = false;
+    longPressTimer = setTimeout(() => {
+      longPressed = true;
+      window.electronAPI.showHistoryMenu();
+    }, LONG_PRESS_DELAY);
+  });
+
+  ['pointerup', 'pointerleave'].forEach(type => {
+    backButton.addEventListener(type, () => clearTimeout(longPressTimer));
+  });
+
+  backButton.addEventListener('click', (event) => {
+    event.preventDefault();
+    // The press already opened the history menu
+    if (longPressed) return;
+    window.electronAPI.navigateBack();
+  });
+
+  backButton.addEventListener('contextmenu', (event) => {
+    event.preventDefault();
+    window.electronAPI.showHistoryMenu();
+  });
+
+  forwardButton.addEventListener('click', (event) => {
+    event.preventDefault();
+    window.electronAPI.navigateForward();
+  });
+
+  // Mouse buttons 4/5 over the sidebar on macOS, see preload_inject.js
+  if (window.electronAPI.platform === 'darwin') {
+    document.addEventListener('mouseup', (event) => {
+      if (event.button === 3) {
+        window.electronAPI.navigateBack();
+      } else if (event.button === 4) {
+        window.electronAPI.navigateForward();
+      }
+    });
+  }
+}
+
+function initZoomIndicator() {
+  const zoomIndicator = document.getElementById('zoom-indicator');
+  if (!zoomIndicator) return;
+
+  // Only shown while the active view is zoomed away from the default
+  window.electronAPI.onZoomUpdated(({ percent, isDefault }) => {
+    zoomIndicator.textContent = `${percent}%`;
+    zoomIndicator.classList.toggle('show', !isDefault);
+  });
+
+  zoomIndicator.addEventListener('click', (event) => {
+    event.preventDefault();
+    window.electronAPI.resetZoom();
+  });
+
+  // Ctrl/Cmd +/-/0 while the sidebar or tab strip has focus
+  document.addEventListener('keydown', (event) => {
+    const modifier = window.electronAPI.platform === 'darwin' ? event.metaKey : event.ctrlKey;
+    if (!modifier || event.altKey) return;
+
+    if (event.key === '=' || event.key === '+') {
+      event.preventDefault();
+      window.electronAPI.zoomIn();
+    } else if (event.key === '-') {
+      event.preventDefault();
+      window.electronAPI.zoomOut();
+    } else if (event.key === '0') {
+      event.preventDefault();
+      window.electronAPI.resetZoom();
+    }
+  });
+}
+
+function initFindBar() {
+  const content = document.getElementById('content');
+  const findBar = document.getElementById('find-bar');
+  const findInput = document.getElementById('find-input');
+  const findCount = document.getElementById('find-count');
+  const caseButton = document.getElementById('find-case-button');
+  let matchCase = false;
+  let activeTabId = null;
+
+  if (!findBar || !findInput) return;
+
+  const isOpen = () => findBar.classList.contains('show');
+
+  // A new session restarts from the top, follow-up requests move between matches
+  const find = (newSession, forward = true) => {
+    const text = findInput.value;
+    if (!text) {
+      findCount.textContent = '';
+      findCount.classList.remove('no-match');
+    }
+    window.electronAPI.findInPage(text, { forward, matchCase, findNext: newSession });
+  };
+
+  window.electronAPI.onFindBarOpen(() => {
+    findBar.classList.add('show');
+    content.classList.add('find-open');
+    findInput.focus();
+    findInput.select();
+    if (findInput.value) {
+      find(true);
+    }
+  });
+
+  window.electronAPI.onFindBarClosed(() => {
+    findBar.classList.remove('show');
+    content.classList.remove('find-open');
+    findCount.textContent = '';
+    findCount.classList.remove('no-match');
+  });
+
+  window.electronAPI.onFindResult(({ activeMatchOrdinal, matches }) => {
+    if (!findInput.value) return;
+    findCount.textContent = matches > 0 ? `${activeMatchOrdinal}/${matches}` : 'No results';
+    findCount.classList.toggle('no-match', matches === 0);
+  });
+
+  // Search again when another tab becomes active while the bar is open
+  window.electronAPI.onTabsUpdated((data) => {
+    if (data.activeTabId !== activeTabId) {
+      activeTabId = data.activeTabId;
+      if (isOpen() && findInput.value) {
+        find(true);
+      }
+    }
+  });
+
+  findInput.addEventListener('input', () => find(true));
+
+  findInput.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      find(false, !event.shiftKey);
+    } else if (event.key === 'Escape') {
+      event.preventDefault();
+      window.electronAPI.closeFindBar();
+    }
+  });
+
+  caseButton.addEventListener('click', (event) => {
+    event.preventDefault();
+    matchCase = !matchCase;
+    caseButton.classList.toggle('toggled', matchCase);
+    find(true);
+  });
+
+  document.getElementById('find-previous-button').addEventListener('click', (event) => {
+    event.preventDefault();
+    find(false, false);
+  });
+
+  document.getElementById('find-next-button').addEventListener('click', (event) => {
+    event.preventDefault();
+    find(false, true);
+  });
+
+  document.getElementById('find-close-button').addEventListener('click', (event) => {
+    event.preventDefault();
+    window.electronAPI.closeFindBar();
+  });
+
+  // Ctrl/Cmd+F while the sidebar or tab strip has focus, pages handle it in the main process
+  document.addEventListener('keydown', (event) => {
+    const modifier = window.electronAPI.platform === 'darwin' ? event.metaKey : event.ctrlKey;
+    if (modifier && !event.altKey && event.key.toLowerCase() === 'f') {
+      event.preventDefault();
+      window.electronAPI.openFindBar();
+    }
+  });
+}
+
+function initEndpointButtons() {
+  const container = document.getElementById('endpoint-buttons');
+  if (!container) return;
+
+  const renderEndpoints = (endpoints) => {
+    container.innerHTML = '';
+
+    endpoints.forEach(endpoint => {
+      const button = document.createElement('a');
+      button.href = '#';
+      button.className = 'menu-item';
+      button.title = endpoint.name;
+
+      if (endpoint.icon) {
+        const icon = document.createElement('img');
+        icon.src = endpoint.icon;
+        icon.alt = endpoint.name;
+        button.appendChild(icon);
+      } else {
+        // No icon configured, fall back to the first letter of the name
+        const avatar = document.createElement('div');
+        avatar.className = 'endpoint-avatar';
+        avatar.textContent = endpoint.name.charAt(0).toUpperCase();
+        button.appendChild(avatar);
+      }
+
+      button.addEventListener('click', (event) => {
+        event.preventDefault();
+        window.electronAPI.openEndpoint(endpoint.id);
+      });
+
+      container.appendChild(button);
+    });
+  };
+
+  window.electronAPI.onEndpointsUpdated(renderEndpoints);
+  window.electronAPI.getEndpoints().then(renderEndpoints);
+}
+
+function initTabs() {
+  const tabList = document.getElementById('tab-list');
+  const newTabButton = document.getElementById('new-tab-button');
+  let draggedTabId = null;
+
+  if (!tabList) return;
+
+  window.electronAPI.onTabsUpdated(({ tabs, activeTabId, split }) => {
+    tabList.innerHTML = '';
+
+    tabs.forEach((tab, index) => {
+      const tabElement = document.createElement('div');
+      tabElement.className = 'tab';
+      tabElement.classList.toggle('active', tab.id === activeTabId);
+      tabElement.classList.toggle('loading', tab.isLoading);
+      tabElement.classList.toggle('hibernated', tab.hibernated);
+      tabElement.classList.toggle('split-pane', split.enabled && split.paneTabIds.includes(tab.id));
+      tabElement.draggable = true;
+      tabElement.title = tab.title || tab.url;
+
+      const titleElement = document.createElement('span');
+      titleElement.className = 'tab-title';
+      titleElement.textContent = tab.title || tab.url;
+
+      const closeButton = document.createElement('button');
+      closeButton.className = 'tab-close';
+      closeButton.title = 'Close Tab';
+      closeButton.textContent = '\u2715';
+
+      tabElement.appendChild(titleElement);
+      tabElement.appendChild(closeButton);
+
+      tabElement.addEventListener('click', () => {
+        window.electronAPI.activateTab(tab.id);
+      });
+
+      // Middle-click closes the tab; block the autoscroll cursor on mousedown
+      tabElement.addEventListener('mousedown', (event) => {
+        if (event.button === 1) event.preventDefault();
+      });
+
+      tabElement.addEventListener('auxclick', (event) => {
+        if (event.button === 1) {
+          event.preventDefault();
+          window.electronAPI.closeTab(tab.id);
+        }
+      });
+
+      closeButton.addEventListener('click', (event) => {
+        event.stopPropagation();
+        window.electronAPI.closeTab(tab.id);
+      });
+
+      tabElement.addEventListener('dragstart', (event) => {
+        draggedTabId = tab.id;
+        event.dataTransfer.effectAllowed = 'move';
+      });
+
+      tabElement.addEventListener('dragover', (event) => {
+        if (draggedTabId === null) return;
+        event.preventDefault();
+        tabElement.classList.add('drop-target');
+      });
+
+      tabElement.addEventListener('dragleave', () => {
+        tabElement.classList.remove('drop-target');
+      });
+
+      tabElement.addEventListener('drop', (event) => {
+        event.preventDefault();
+        tabElement.classList.remove('drop-target');
+        if (draggedTabId !== null && draggedTabId !== tab.id) {
+          window.electronAPI.moveTab(draggedTabId, index);
+        }
+      });
+
+      tabElement.addEventListener('dragend', () => {
+        draggedTabId = null;
+      });
+
+      tabList.appendChild(tabElement);
+    });
+
+    const activeElement = tabList.querySelector('.tab.active');
+    if (activeElement) {
+      activeElement.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+    }
+  });
+
+  if (newTabButton) {
+    newTabButton.addEventListener('click', (event) => {
+      event.preventDefault();
+      window.electronAPI.newTab();
+    });
+  }
+
+  window.electronAPI.getTabs();
+}
+
+function initSplitView() {
+  const container = document.getElementById('webview-container');
+  const divider = document.getElementById('split-divider');
+  const splitControls = document.getElementById('split-controls');
+  const splitButton = document.getElementById('split-button');
+  const orientationButton = document.getElementById('split-orientation-button');
+  const mirrorButton = document.getElementById('split-mirror-button');
+  const dividerSize = 6;
+  let split = null;
+  let isDragging = false;
+  let pendingRatio = null;
+
+  if (!container || !divider) return;
+
+  function positionDivider() {
+    if (!split || !split.enabled) {
+      divider.style.display = 'none';
+      return;
+    }
+
+    const isHorizontal = split.orientation === 'horizontal';
+    divider.style.display = 'block';
+    divider.classList.toggle('horizontal', isHorizontal);
+
+    if (isHorizontal) {
+      divider.style.left = '0';
+      divider.style.top = `${Math.round((container.clientHeight - dividerSize) * split.ratio)}px`;
+    } else {
+      divider.style.top = '0';
+      divider.style.left = `${Math.round((container.clientWidth - dividerSize) * split.ratio)}px`;
+    }
+  }
+
+  window.electronAPI.onTabsUpdated((data) => {
+    split = data.split;
+
+    if (splitControls) {
+      splitControls.classList.toggle('split-active', split.enabled);
+    }
+    if (mirrorButton) {
+      mirrorButton.classList.toggle('toggled', split.mirrorQueries);
+    }
+
+    if (!isDragging) {
+      positionDivider();
+    }
+  });
+
+  window.addEventListener('resize', positionDivider);
+
+  // The BrowserViews sit on both sides of the divider, so the pointer is
+  // captured while dragging to keep receiving moves over them
+  divider.addEventListener('pointerdown', (event) => {
+    if (!split || !split.enabled) return;
+
+    isDragging = true;
+    divider.classList.add('dragging');
+    divider.setPointerCapture(event.pointerId);
+  });
+
+  divider.addEventListener('pointermove', (event) => {
+    if (!isDragging) return;
+
+    const rect = container.getBoundingClientRect();
+    const ratio = split.orientation === 'horizontal'
+      ? (event.clientY - rect.top) / rect.height
+      : (event.clientX - rect.left) / rect.width;
+
+    split.ratio = Math.min(Math.max(ratio, 0.2), 0.8);
+    positionDivider();
+
+    if (pendingRatio === null) {
+      requestAnimationFrame(() => {
+        window.electronAPI.setSplitRatio(pendingRatio, false);
+        pendingRatio = null;
+      });
+    }
+    pendingRatio = split.ratio;
+  });
+
+  divider.addEventListener('pointerup', (event) => {
+    if (!isDragging) return;
+
+    isDragging = false;
+    divider.classList.remove('dragging');
+    divider.releasePointerCapture(event.pointerId);
+    window.electronAPI.setSplitRatio(split.ratio, true);
+  });
+
+  if (splitButton) {
+    splitButton.addEventListener('click', (event) => {
+      event.preventDefault();
+      window.electronAPI.toggleSplitView();
+    });
+  }
+
+  if (orientationButton) {
+    orientationButton.addEventListener('click', (event) => {
+      event.preventDefault();
+      window.electronAPI.toggleSplitOrientation();
+    });
+  }
+
+  if (mirrorButton) {
+    mirrorButton.addEventListener('click', (event) => {
+      event.preventDefault();
+      window.electronAPI.toggleSplitMirror();
+    });
+  }
+}
+
+function initProfiles() {
+  const profileButton = document.getElementById('profile-button');
+  const profileAvatar = document.getElementById('profile-avatar');
+
+  if (!profileButton || !profileAvatar) return;
+
+  function updateAvatar({ profiles, activeProfileId }) {
+    const activeProfile = profiles.find(profile => profile.id === activeProfileId);
+    if (!activeProfile) return;
+
+    profileAvatar.textContent = activeProfile.name.charAt(0).toUpperCase();
+    profileButton.title = `Profile: ${activeProfile.name}`;
+  }
+
+  window.electronAPI.onProfilesUpdated(updateAvatar);
+  window.electronAPI.getProfiles().then(updateAvatar);
+
+  profileButton.addEventListener('click', (event) => {
+    event.preventDefault();
+    window.electronAPI.showProfileMenu();
+  });
+}
+
+function initProfileSettings() {
+  const profileList = document.getElementById('profile-list');
+  const newProfileInput = document.getElementById('new-profile-name');
+  const addProfileButton = document.getElementById('add-profile-button');
+  const searchProfileSelect = document.getElementById('search-profile');
+  const defaultAISelect = document.getElementById('defaultAI');
+
+  if (!profileList) return;
+
+  // Enter inside these inputs must not submit (and close) the settings form
+  function preventSubmitOnEnter(input, onEnter) {
+    input.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        onEnter();
+      }
+    });
+  }
+
+  function createDefaultAISelect(profile) {
+    const select = document.createElement('select');
+
+    const inheritOption = document.createElement('option');
+    inheritOption.value = '';
+    inheritOption.textContent = 'Default AI Site';
+    select.appendChild(inheritOption);
+
+    if (defaultAISelect) {
+      Array.from(defaultAISelect.options).forEach(option => {
+        select.appendChild(option.cloneNode(true));
+      });
+    }
+
+    select.value = profile.defaultAI || '';
+    select.addEventListener('change', () => {
+      window.electronAPI.updateProfile(profile.id, { defaultAI: select.value });
+    });
+
+    return select;
+  }
+
+  function renderProfiles({ profiles, searchProfileId }) {
+    profileList.innerHTML = '';
+
+    profiles.forEach(profile => {
+      const item = document.createElement('div');
+      item.className = 'profile-item';
+
+      const nameInput = document.createElement('input');
+      nameInput.type = 'text';
+      nameInput.className = 'text-input';
+      nameInput.value = profile.name;
+      nameInput.addEventListener('change', () => {
+        if (nameInput.value.trim()) {
+          window.electronAPI.updateProfile(profile.id, { name: nameInput.value }).then(loadProfiles);
+        } else {
+          nameInput.value = profile.name;
+        }
+      });
+      preventSubmitOnEnter(nameInput, () => nameInput.blur());
+
+      item.appendChild(nameInput);
+      item.appendChild(createDefaultAISelect(profile));
+
+      if (profile.id !== 'default') {
+        const deleteButton = document.createElement('button');
+        deleteButton.type = 'button';
+        deleteButton.className = 'action-button';
+        deleteButton.textContent = 'Delete';
+        deleteButton.addEventListener('click', () => {
+          if (confirm(`Delete the profile "${profile.name}"? Its logins and site data will be erased.`)) {
+            window.electronAPI.deleteProfile(profile.id).then(loadProfiles);
+          }
+        });
+        item.appendChild(deleteButton);
+      }
+
+      profileList.appendChild(item);
+    });
+
+    if (searchProfileSelect) {
+      searchProfileSelect.innerHTML = '';
+
+      const activeOption = document.createElement('option');
+      activeOption.value = 'active';
+      activeOption.textContent = 'Current Profile';
+      searchProfileSelect.appendChild(activeOption);
+
+      profiles.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.name;
+        searchProfileSelect.appendChild(option);
+      });
+
+      searchProfileSelect.value = profiles.some(p => p.id === searchProfileId) ? searchProfileId : 'active';
+    }
+  }
+
+  function loadProfiles() {
+    window.electronAPI.getProfiles().then(renderProfiles);
+  }
+
+  function addProfile() {
+    const name = newProfileInput.value.trim();
+    if (!name) return;
+
+    window.electronAPI.createProfile(name, null).then(() => {
+      newProfileInput.value = '';
+      loadProfiles();
+    });
+  }
+
+  if (addProfileButton && newProfileInput) {
+    addProfileButton.addEventListener('click', addProfile);
+    preventSubmitOnEnter(newProfileInput, addProfile);
+  }
+
+  if (searchProfileSelect) {
+    searchProfileSelect.addEventListener('change', () => {
+      window.electronAPI.setSearchProfile(searchProfileSelect.value);
+    });
+  }
+
+  loadProfiles();
+}
+
 function initNotifications() {
   const notificationButton = document.getElementById('notification-button');
   const notificationBadge = document.getElementById('notification-badge');
@@ -566,6 +2252,87 @@ function initNotifications() {
   }
 }
 
+function initDownloads() {
+  const downloadsButton = document.getElementById('downloads-button');
+  const downloadBadge = document.getElementById('download-badge');
+  const downloadProgress = document.getElementById('download-progress');
+  const downloadProgressBar = document.getElementById('download-progress-bar');
+
+  if (!downloadsButton) return;
+
+  downloadsButton.addEventListener('click', (event) => {
+    event.preventDefault();
+    window.electronAPI.openDownloadsPanel();
+  });
+
+  window.electronAPI.onDownloadProgress(({ active, progress }) => {
+    if (active === 0) {
+      downloadBadge.style.display = 'none';
+      downloadProgress.style.display = 'none';
+      downloadsButton.title = 'Downloads';
+      return;
+    }
+
+    downloadBadge.textContent = active > 9 ? '9+' : active;
+    downloadBadge.style.display = active > 1 ? 'flex' : 'none';
+    downloadProgress.style.display = 'block';
+    // Servers that send no size only get a pulsing bar
+    downloadProgress.classList.toggle('indeterminate', progress < 0);
+    downloadProgressBar.style.width = progress < 0 ? '' : `${Math.round(progress * 100)}%`;
+    downloadsButton.title = progress < 0
+      ? `Downloading ${active} ${active === 1 ? 'file' : 'files'}`
+      : `Downloading ${active} ${active === 1 ? 'file' : 'files'} (${Math.round(progress * 100)}%)`;
+  });
+}
+
+function initSearchHistory() {
+  const historyButton = document.getElementById('history-button');
+  if (!historyButton) return;
+
+  historyButton.addEventListener('click', (event) => {
+    event.preventDefault();
+    window.electronAPI.openHistoryPanel();
+  });
+}
+
+/**
+ * Files dropped on the window go to a new thread, text to the prefix chooser
+ */
+function initDropTarget() {
+  const canDrop = (event) => event.dataTransfer
+    && (event.dataTransfer.types.includes('Files') || event.dataTransfer.types.includes('text/plain'));
+
+  document.addEventListener('dragover', (event) => {
+    if (!canDrop(event)) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+    document.body.classList.add('drop-active');
+  });
+
+  document.addEventListener('dragleave', (event) => {
+    // Only leaving the window itself has no element to go to
+    if (!event.relatedTarget) {
+      document.body.classList.remove('drop-active');
+    }
+  });
+
+  document.addEventListener('drop', (event) => {
+    document.body.classList.remove('drop-active');
+    if (!canDrop(event)) return;
+    event.preventDefault();
+
+    if (event.dataTransfer.files.length > 0) {
+      window.electronAPI.dropFiles(event.dataTransfer.files);
+      return;
+    }
+
+    const text = event.dataTransfer.getData('text/plain').trim();
+    if (text) {
+      window.electronAPI.dropText(text);
+    }
+  });
+}
+
 function initQuickSearch() {
   const searchButton = document.getElementById('search-button');
   
@@ -0,0 +1,136 @@
+document.addEventListener('DOMContentLoaded', () => {
+  const dim = document.getElementById('dim');
+  const selection = document.getElementById('selection');
+  const hint = document.getElementById('hint');
+  const promptPanel = document.getElementById('prompt-panel');
+  const promptInput = document.getElementById('prompt-input');
+  const askButton = document.getElementById('ask-button');
+  const cancelButton = document.getElementById('cancel-button');
+  const suggestions = document.getElementById('suggestions');
+
+  const PROMPT_SUGGESTIONS = ['Explain this error', 'Summarize this chart', 'What is this?', 'Translate this'];
+  // Smaller drags are taken as a click
+  const MIN_REGION_SIZE = 8;
+  const PANEL_MARGIN = 8;
+
+  let dragStart = null;
+  let region = null;
+
+  window.screenCaptureAPI.onCaptureImage((data) => {
+    document.body.style.backgroundImage = `url("${data.image}")`;
+    promptInput.value = data.prompt || '';
+  });
+
+  PROMPT_SUGGESTIONS.forEach(text => {
+    const button = document.createElement('button');
+    button.className = 'suggestion';
+    button.textContent = text;
+    button.addEventListener('click', () => {
+      promptInput.value = text;
+      promptInput.focus();
+    });
+    suggestions.appendChild(button);
+  });
+
+  function getRegion(start, end) {
+    return {
+      x: Math.min(start.x, end.x),
+      y: Math.min(start.y, end.y),
+      width: Math.abs(end.x - start.x),
+      height: Math.abs(end.y - start.y)
+    };
+  }
+
+  function showSelection(rect) {
+    dim.style.display = 'none';
+    selection.style.display = 'block';
+    selection.style.left = `${rect.x}px`;
+    selection.style.top = `${rect.y}px`;
+    selection.style.width = `${rect.width}px`;
+    selection.style.height = `${rect.height}px`;
+  }
+
+  function resetSelection() {
+    region = null;
+    dim.style.display = 'block';
+    selection.style.display = 'none';
+    promptPanel.style.display = 'none';
+    hint.style.display = 'block';
+  }
+
+  // Below the region if it fits, otherwise above it or inside its bottom edge
+  function showPromptPanel(rect) {
+    promptPanel.style.display = 'block';
+    const panelWidth = promptPanel.offsetWidth;
+    const panelHeight = promptPanel.offsetHeight;
+
+    let top = rect.y + rect.height + PANEL_MARGIN;
+    if (top + panelHeight > window.innerHeight) {
+      top = rect.y - panelHeight - PANEL_MARGIN;
+    }
+    if (top < 0) {
+      top = rect.y + rect.height - panelHeight - PANEL_MARGIN;
+    }
+    const left = Math.min(Math.max(rect.x, PANEL_MARGIN), window.innerWidth - panelWidth - PANEL_MARGIN);
+
+    promptPanel.style.top = `${Math.max(top, PANEL_MARGIN)}px`;
+    promptPanel.style.left = `${left}px`;
+    promptInput.focus();
+    promptInput.select();
+  }
+
+  function submit() {
+    if (region) {
+      window.screenCaptureAPI.submit(region, promptInput.value);
+    }
+  }
+
+  document.addEventListener('mousedown', (e) => {
+    if (e.button !== 0 || promptPanel.contains(e.target)) return;
+
+    resetSelection();
+    hint.style.display = 'none';
+    dragStart = { x: e.clientX, y: e.clientY };
+  });
+
+  document.addEventListener('mousemove', (e) => {
+    if (!dragStart) return;
+    showSelection(getRegion(dragStart, { x: e.clientX, y: e.clientY }));
+  });
+
+  document.addEventListener('mouseup', (e) => {
+    if (!dragStart) return;
+
+    const rect = getRegion(dragStart, { x: e.clientX, y: e.clientY });
+    dragStart = null;
+
+    if (rect.width < MIN_REGION_SIZE || rect.height < MIN_REGION_SIZE) {
+      resetSelection();
+      return;
+    }
+
+    region = rect;
+    showSelection(rect);
+    showPromptPanel(rect);
+  });
+
+  askButton.addEventListener('click', submit);
+
+  cancelButton.addEventListener('click', () => {
+    window.screenCaptureAPI.cancel();
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      // The first Esc drops the selection, the next one closes the overlay
+      if (region) {
+        resetSelection();
+      } else {
+        window.screenCaptureAPI.cancel();
+      }
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      submit();
+    }
+  });
+});
@@ -0,0 +1,758 @@
+// tab-manager.js
+const Store = require('electron-store');
+
+const SPLIT_DIVIDER_SIZE = 6;
+const MIN_SPLIT_RATIO = 0.2;
+const MAX_SPLIT_RATIO = 0.8;
+// A busy or hung page gets this long to report its scroll position before
+// the tab is hibernated without one
+const SCROLL_CAPTURE_TIMEOUT = 2000;
+
+// Pages like Perplexity threads scroll an inner element rather than the window,
+// so remember whichever element is scrolled the furthest and how to find it again
+const CAPTURE_SCROLL_SCRIPT = `(function () {
+  let best = { selector: null, x: window.scrollX, y: window.scrollY };
+  document.querySelectorAll('body *').forEach((el) => {
+    if (el.scrollTop > best.y) {
+      const selector = el.id
+        ? '#' + CSS.escape(el.id)
+        : el.tagName.toLowerCase() + Array.from(el.classList).map(name => '.' + CSS.escape(name)).join('');
+      best = { selector, x: el.scrollLeft, y: el.scrollTop };
+    }
+  });
+  return best;
+})()`;
+
+// Runs inside the restored page, retried while its content is still rendering
+function restoreScrollPosition(position) {
+  let attempts = 0;
+  const apply = () => {
+    const el = position.selector ? document.querySelector(position.selector) : document.scrollingElement;
+    if (el) {
+      el.scrollTop = position.y;
+      el.scrollLeft = position.x;
+    }
+    const reached = el && Math.abs(el.scrollTop - position.y) <= 1;
+    if (!reached && ++attempts < 10) {
+      setTimeout(apply, 500);
+    }
+  };
+  apply();
+}
+
+class TabManager {
+  /**
+   * @param {BrowserWindow} mainWindow - Window the tab views are attached to
+   * @param {Function} createViewCallback - Builds a wired-up BrowserView for (url, tab)
+   * @param {Function} getDefaultUrl - Returns the URL used when a blank tab is needed for (profileId)
+   */
+  constructor(mainWindow, createViewCallback, getDefaultUrl) {
+    this.mainWindow = mainWindow;
+    this.createView = createViewCallback;
+    this.getDefaultUrl = getDefaultUrl;
+
+    this.tabs = [];
+    this.activeTabId = null;
+    this.nextTabId = 1;
+    this.bounds = null;
+    // Only tabs belonging to this profile are shown in the strip
+    this.activeProfileId = null;
+
+    // Split layout lives in electron-window-state's window-state.json, next to the bounds
+    this.store = new Store({ name: 'window-state' });
+    this.splitLayout = this.store.get('splitLayout', {
+      enabled: false,
+      orientation: 'vertical',
+      ratio: 0.5,
+      mirrorQueries: false,
+      secondaryUrl: null
+    });
+    // [firstPaneTabId, secondPaneTabId] while split view is active
+    this.splitTabIds = null;
+
+    this.changeListeners = [];
+    // Tab whose page currently shows find-in-page highlights
+    this.findTabId = null;
+
+    // electron-window-state rewrites the file from the copy it read at startup
+    // once the window is closed, put the current layout back after it
+    mainWindow.on('closed', () => this.store.set('splitLayout', this.splitLayout));
+  }
+
+  /**
+   * Open a new tab right after the active one
+   * @param {string} url - URL to load in the tab
+   * @param {Object} [options]
+   * @param {boolean} [options.activate=true] - Whether to switch to the new tab
+   * @param {string} [options.profileId] - Profile whose session the tab uses, defaults to the active one
+   * @returns {Object} The created tab
+   */
+  openTab(url, { activate = true, profileId = this.activeProfileId } = {}) {
+    const tab = {
+      id: this.nextTabId++,
+      profileId,
+      homeUrl: url,
+      url,
+      title: 'Loading...',
+      isLoading: true,
+      view: null,
+      lastAccessTime: Date.now(),
+      // Hibernated tabs have no view, only what is needed to bring them back
+      hibernated: false,
+      scrollPosition: null
+    };
+
+    tab.view = this.createView(url, tab);
+
+    const activeIndex = this.tabs.findIndex(t => t.id === this.activeTabId);
+    if (activeIndex === -1) {
+      this.tabs.push(tab);
+    } else {
+      this.tabs.splice(activeIndex + 1, 0, tab);
+    }
+
+    if (activate) {
+      this.activateTab(tab.id);
+    } else {
+      this.notifyChange();
+    }
+
+    return tab;
+  }
+
+  /**
+   * Add a tab from a previous session without loading it. It stays
+   * hibernated until it is first shown.
+   * @param {Object} savedTab - { profileId, homeUrl, url, title, lastAccessTime, scrollPosition }
+   * @returns {Object} The created tab
+   */
+  restoreTab(savedTab) {
+    const tab = {
+      id: this.nextTabId++,
+      profileId: savedTab.profileId,
+      homeUrl: savedTab.homeUrl || savedTab.url,
+      url: savedTab.url,
+      title: savedTab.title || savedTab.url,
+      isLoading: false,
+      view: null,
+      lastAccessTime: savedTab.lastAccessTime || Date.now(),
+      hibernated: true,
+      scrollPosition: savedTab.scrollPosition || null
+    };
+
+    this.tabs.push(tab);
+    this.notifyChange();
+    return tab;
+  }
+
+  /**
+   * Attach the tab's view to the window and detach the previously active one
+   * @param {number} tabId
+   */
+  activateTab(tabId) {
+    const tab = this.getTab(tabId);
+    if (!tab || !this.isWindowAlive()) return;
+
+    if (tab.hibernated) {
+      this.wakeTab(tab);
+    }
+
+    if (this.splitTabIds) {
+      // In split view the selected tab replaces whichever pane has focus
+      if (!this.splitTabIds.includes(tab.id)) {
+        const paneIndex = Math.max(this.splitTabIds.indexOf(this.activeTabId), 0);
+        const replacedTab = this.getTab(this.splitTabIds[paneIndex]);
+        if (replacedTab) {
+          this.mainWindow.removeBrowserView(replacedTab.view);
+        }
+        this.splitTabIds[paneIndex] = tab.id;
+        this.mainWindow.addBrowserView(tab.view);
+      }
+    } else {
+      const previousTab = this.getActiveTab();
+      if (previousTab && previousTab !== tab) {
+        this.mainWindow.removeBrowserView(previousTab.view);
+      }
+      this.mainWindow.addBrowserView(tab.view);
+    }
+
+    this.activeTabId = tab.id;
+    tab.lastAccessTime = Date.now();
+
+    this.applyBounds();
+
+    this.mainWindow.webContents.send('page-loading', tab.isLoading);
+    this.notifyChange();
+  }
+
+  /**
+   * Close a tab and release its view. The last tab is replaced with a fresh
+   * default tab so the window is never left empty.
+   * @param {number} tabId
+   */
+  closeTab(tabId) {
+    const index = this.tabs.findIndex(t => t.id === tabId);
+    if (index === -1) return;
+
+    const [tab] = this.tabs.splice(index, 1);
+    const wasActive = tab.id === this.activeTabId;
+
+    if (tab.view) {
+      if (this.isWindowAlive()) {
+        this.mainWindow.removeBrowserView(tab.view);
+      }
+      if (tab.view.webContents && !tab.view.webContents.isDestroyed()) {
+        tab.view.webContents.destroy();
+      }
+    }
+
+    if (this.splitTabIds && this.splitTabIds.includes(tab.id)) {
+      // Closing either pane leaves the other one as a regular single view
+      const remainingTabId = this.splitTabIds.find(id => id !== tab.id);
+      this.splitTabIds = null;
+      this.activeTabId = null;
+      this.activateTab(remainingTabId);
+      return;
+    }
+
+    if (!wasActive) {
+      this.notifyChange();
+      return;
+    }
+
+    this.activeTabId = null;
+
+    const profileTabs = this.getProfileTabs();
+    if (profileTabs.length === 0) {
+      this.openTab(this.getDefaultUrl(this.activeProfileId));
+      return;
+    }
+
+    const nextTab = profileTabs.find(t => this.tabs.indexOf(t) >= index) || profileTabs[profileTabs.length - 1];
+    this.activateTab(nextTab.id);
+  }
+
+  /**
+   * Close every tab of a profile, used before the profile is deleted
+   * @param {string} profileId
+   */
+  closeProfileTabs(profileId) {
+    this.tabs
+      .filter(tab => tab.profileId === profileId)
+      .forEach(tab => this.closeTab(tab.id));
+  }
+
+  /**
+   * Move a tab to a new position in the strip
+   * @param {number} tabId
+   * @param {number} toIndex - Position among the tabs of the active profile
+   */
+  moveTab(tabId, toIndex) {
+    const fromIndex = this.tabs.findIndex(t => t.id === tabId);
+    const profileTabs = this.getProfileTabs();
+    if (fromIndex === -1 || profileTabs.length === 0) return;
+
+    const targetTab = profileTabs[Math.max(0, Math.min(toIndex, profileTabs.length - 1))];
+    const targetIndex = this.tabs.indexOf(targetTab);
+    if (targetIndex === fromIndex) return;
+
+    const [tab] = this.tabs.splice(fromIndex, 1);
+    this.tabs.splice(targetIndex, 0, tab);
+    this.notifyChange();
+  }
+
+  /**
+   * Show the tabs of another profile. Split view is closed because both
+   * panes must come from the same profile.
+   * @param {string} profileId
+   * @returns {Object|null} The tab that was activated, null if the profile has none yet
+   */
+  setActiveProfile(profileId) {
+    if (profileId === this.activeProfileId) {
+      return this.getActiveTab();
+    }
+
+    this.disableSplit();
+
+    const previousTab = this.getActiveTab();
+    this.activeProfileId = profileId;
+
+    const nextTab = this.getProfileTabs()
+      .sort((a, b) => b.lastAccessTime - a.lastAccessTime)[0];
+
+    if (nextTab) {
+      this.activateTab(nextTab.id);
+      return nextTab;
+    }
+
+    if (previousTab && this.isWindowAlive()) {
+      this.mainWindow.removeBrowserView(previousTab.view);
+    }
+    this.activeTabId = null;
+    this.notifyChange();
+    return null;
+  }
+
+  getProfileTabs() {
+    return this.tabs.filter(tab => tab.profileId === this.activeProfileId);
+  }
+
+  /**
+   * Load a URL in the active tab, opening a tab if there is none
+   * @param {string} url
+   */
+  navigateActiveTab(url) {
+    const tab = this.getActiveTab();
+    if (!tab) {
+      this.openTab(url);
+      return;
+    }
+
+    tab.view.webContents.loadURL(url);
+  }
+
+  /**
+   * Back/forward state of the active tab for the sidebar buttons
+   * @returns {{canGoBack: boolean, canGoForward: boolean}}
+   */
+  getNavigationState() {
+    const tab = this.getActiveTab();
+    if (!tab || !tab.view || tab.view.webContents.isDestroyed()) {
+      return { canGoBack: false, canGoForward: false };
+    }
+
+    const history = tab.view.webContents.navigationHistory;
+    return { canGoBack: history.canGoBack(), canGoForward: history.canGoForward() };
+  }
+
+  goBack() {
+    const tab = this.getActiveTab();
+    if (tab && tab.view.webContents.navigationHistory.canGoBack()) {
+      tab.view.webContents.navigationHistory.goBack();
+    }
+  }
+
+  goForward() {
+    const tab = this.getActiveTab();
+    if (tab && tab.view.webContents.navigationHistory.canGoForward()) {
+      tab.view.webContents.navigationHistory.goForward();
+    }
+  }
+
+  /**
+   * Jump to an entry of the active tab's history
+   * @param {number} index - Index in navigationHistory
+   */
+  goToHistoryIndex(index) {
+    const tab = this.getActiveTab();
+    if (!tab) return;
+
+    const history = tab.view.webContents.navigationHistory;
+    if (index >= 0 && index < history.length()) {
+      history.goToIndex(index);
+    }
+  }
+
+  /**
+   * Entries before the current one in the active tab, most recent first
+   * @param {number} [limit=15]
+   * @returns {Array<{index: number, title: string, url: string}>}
+   */
+  getBackHistory(limit = 15) {
+    const tab = this.getActiveTab();
+    if (!tab) return [];
+
+    const history = tab.view.webContents.navigationHistory;
+    const entries = [];
+    for (let index = history.getActiveIndex() - 1; index >= 0 && entries.length < limit; index--) {
+      const entry = history.getEntryAtIndex(index);
+      if (entry) {
+        entries.push({ index, title: entry.title, url: entry.url });
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Reload the page shown in the active tab, keeping the current thread
+   */
+  reloadActiveTab() {
+    const tab = this.getActiveTab();
+    if (tab) {
+      tab.view.webContents.reload();
+    }
+  }
+
+  /**
+   * Search the active tab's page. Highlights left in a previously searched
+   * tab are cleared first.
+   * @param {string} text
+   * @param {Object} options - findInPage options (forward, matchCase, findNext)
+   */
+  findInActiveTab(text, options) {
+    const tab = this.getActiveTab();
+    if (this.findTabId !== null && (!tab || tab.id !== this.findTabId)) {
+      this.stopFindInPage();
+    }
+    if (!tab) return;
+
+    if (!text) {
+      this.stopFindInPage();
+      return;
+    }
+
+    this.findTabId = tab.id;
+    tab.view.webContents.findInPage(text, options);
+  }
+
+  stopFindInPage() {
+    const tab = this.getTab(this.findTabId);
+    if (tab && tab.view && !tab.view.webContents.isDestroyed()) {
+      tab.view.webContents.stopFindInPage('clearSelection');
+    }
+    this.findTabId = null;
+  }
+
+  /**
+   * Show a second tab next to the active one. Uses the most recently used
+   * other tab, or opens fallbackUrl when the active tab is the only one.
+   * @param {string} fallbackUrl
+   * @param {number} [secondTabId] - Tab to show in the second pane instead
+   */
+  enableSplit(fallbackUrl, secondTabId) {
+    const activeTab = this.getActiveTab();
+    if (!activeTab || this.splitTabIds || !this.isWindowAlive()) return;
+
+    const otherTabs = this.getProfileTabs().filter(t => t.id !== activeTab.id);
+    let secondTab = otherTabs.find(t => t.id === secondTabId)
+      || otherTabs.sort((a, b) => b.lastAccessTime - a.lastAccessTime)[0];
+
+    if (!secondTab) {
+      secondTab = this.openTab(fallbackUrl, { activate: false });
+    } else if (secondTab.hibernated) {
+      this.wakeTab(secondTab);
+    }
+
+    secondTab.lastAccessTime = Date.now();
+    this.splitTabIds = [activeTab.id, secondTab.id];
+    this.mainWindow.addBrowserView(secondTab.view);
+
+    this.saveSplitLayout({ secondaryUrl: secondTab.homeUrl });
+    this.applyBounds();
+    this.notifyChange();
+  }
+
+  /**
+   * Split view is only remembered as on or off when the user switches it,
+   * profile switches and closed panes take it down for the moment only
+   * @param {string} fallbackUrl - See enableSplit()
+   */
+  toggleSplit(fallbackUrl) {
+    if (this.isSplit()) {
+      this.disableSplit();
+    } else {
+      this.enableSplit(fallbackUrl);
+    }
+    this.saveSplitLayout({ enabled: this.isSplit() });
+  }
+
+  disableSplit() {
+    if (!this.splitTabIds) return;
+
+    this.splitTabIds
+      .filter(id => id !== this.activeTabId)
+      .forEach(id => {
+        const tab = this.getTab(id);
+        if (tab && this.isWindowAlive()) {
+          this.mainWindow.removeBrowserView(tab.view);
+        }
+      });
+
+    this.splitTabIds = null;
+    this.applyBounds();
+    this.notifyChange();
+  }
+
+  /**
+   * Release a background tab's webContents, keeping its URL, title and scroll
+   * position so it can be rebuilt when it is selected again
+   * @param {number} tabId
+   * @returns {Promise<boolean>} Whether the tab was hibernated
+   */
+  async hibernateTab(tabId) {
+    const tab = this.getTab(tabId);
+    if (!tab || tab.hibernated || this.isTabVisible(tab)) return false;
+
+    const webContents = tab.view.webContents;
+    let scrollPosition = null;
+    let timer;
+    try {
+      scrollPosition = await Promise.race([
+        webContents.executeJavaScript(CAPTURE_SCROLL_SCRIPT),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error('timed out')), SCROLL_CAPTURE_TIMEOUT);
+        })
+      ]);
+    } catch (error) {
+      console.log(`Could not read scroll position of tab ${tab.id}:`, error.message);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    // The tab may have been shown or closed while the page was answering
+    if (!this.getTab(tabId) || tab.hibernated || this.isTabVisible(tab)) return false;
+
+    if (this.isWindowAlive()) {
+      this.mainWindow.removeBrowserView(tab.view);
+    }
+    if (!webContents.isDestroyed()) {
+      webContents.destroy();
+    }
+
+    tab.view = null;
+    tab.hibernated = true;
+    tab.isLoading = false;
+    tab.scrollPosition = scrollPosition;
+
+    console.log(`Hibernated tab ${tab.id} (${tab.url})`);
+    this.notifyChange();
+    return true;
+  }
+
+  /**
+   * Rebuild a hibernated tab's view at the URL it was left on
+   * @param {Object} tab
+   */
+  wakeTab(tab) {
+    tab.hibernated = false;
+    tab.isLoading = true;
+    tab.view = this.createView(tab.url, tab);
+
+    const scrollPosition = tab.scrollPosition;
+    tab.scrollPosition = null;
+    if (scrollPosition) {
+      tab.view.webContents.once('did-finish-load', () => {
+        tab.view.webContents
+          .executeJavaScript(`(${restoreScrollPosition.toString()})(${JSON.stringify(scrollPosition)})`)
+          .catch(error => console.log(`Could not restore scroll position of tab ${tab.id}:`, error.message));
+      });
+    }
+  }
+
+  isTabVisible(tab) {
+    return this.getVisibleTabs().includes(tab);
+  }
+
+  isSplit() {
+    return this.splitTabIds !== null;
+  }
+
+  /**
+   * Mark a split pane as focused without changing which tabs are shown
+   * @param {number} tabId
+   */
+  focusSplitPane(tabId) {
+    if (!this.splitTabIds || !this.splitTabIds.includes(tabId) || tabId === this.activeTabId) return;
+
+    const tab = this.getTab(tabId);
+    if (!tab) return;
+
+    this.activeTabId = tab.id;
+    tab.lastAccessTime = Date.now();
+    tab.view.webContents.focus();
+
+    if (this.isWindowAlive()) {
+      this.mainWindow.webContents.send('page-loading', tab.isLoading);
+    }
+    this.notifyChange();
+  }
+
+  swapSplitFocus() {
+    if (!this.splitTabIds) return;
+
+    const otherTabId = this.splitTabIds.find(id => id !== this.activeTabId);
+    this.focusSplitPane(otherTabId);
+  }
+
+  /**
+   * @param {number} ratio - Share of the content area given to the first pane
+   * @param {boolean} [persist=true] - False while the divider is being dragged
+   */
+  setSplitRatio(ratio, persist = true) {
+    const value = Number(ratio);
+    const clampedRatio = Math.min(Math.max(Number.isFinite(value) ? value : 0.5, MIN_SPLIT_RATIO), MAX_SPLIT_RATIO);
+    this.splitLayout.ratio = clampedRatio;
+    this.applyBounds();
+
+    if (persist) {
+      this.saveSplitLayout({ ratio: clampedRatio });
+      this.notifyChange();
+    }
+  }
+
+  toggleSplitOrientation() {
+    const orientation = this.splitLayout.orientation === 'vertical' ? 'horizontal' : 'vertical';
+    this.saveSplitLayout({ orientation });
+    this.applyBounds();
+    this.notifyChange();
+  }
+
+  toggleMirrorQueries() {
+    this.saveSplitLayout({ mirrorQueries: !this.splitLayout.mirrorQueries });
+    this.notifyChange();
+  }
+
+  shouldMirrorQueries() {
+    return this.isSplit() && this.splitLayout.mirrorQueries === true;
+  }
+
+  /**
+   * Load the same URL in both split panes
+   * @param {string} url
+   */
+  navigateSplitPanes(url) {
+    this.getVisibleTabs().forEach(tab => tab.view.webContents.loadURL(url));
+  }
+
+  getSplitLayout() {
+    return { ...this.splitLayout };
+  }
+
+  saveSplitLayout(changes) {
+    Object.assign(this.splitLayout, changes);
+    this.store.set('splitLayout', this.splitLayout);
+  }
+
+  getVisibleTabs() {
+    if (this.splitTabIds) {
+      return this.splitTabIds.map(id => this.getTab(id)).filter(Boolean);
+    }
+    const activeTab = this.getActiveTab();
+    return activeTab ? [activeTab] : [];
+  }
+
+  getTab(tabId) {
+    return this.tabs.find(t => t.id === tabId) || null;
+  }
+
+  getActiveTab() {
+    return this.getTab(this.activeTabId);
+  }
+
+  getActiveView() {
+    const tab = this.getActiveTab();
+    return tab ? tab.view : null;
+  }
+
+  findTabByHomeUrl(url) {
+    return this.getProfileTabs().find(t => t.homeUrl === url) || null;
+  }
+
+  findTabByWebContents(webContents) {
+    return this.tabs.find(t => t.view && t.view.webContents === webContents) || null;
+  }
+
+  /**
+   * Merge state reported by a tab's webContents (title, url, loading)
+   * @param {number} tabId
+   * @param {Object} changes
+   */
+  updateTab(tabId, changes) {
+    const tab = this.getTab(tabId);
+    if (!tab) return;
+
+    Object.assign(tab, changes);
+
+    if (changes.isLoading !== undefined && tab.id === this.activeTabId && this.isWindowAlive()) {
+      this.mainWindow.webContents.send('page-loading', changes.isLoading);
+    }
+
+    this.notifyChange();
+  }
+
+  /**
+   * Set the area available for tab content and resize the active view
+   * @param {Object} bounds - { x, y, width, height }
+   */
+  setBounds(bounds) {
+    this.bounds = bounds;
+    this.applyBounds();
+  }
+
+  applyBounds() {
+    if (!this.bounds) return;
+
+    if (this.splitTabIds) {
+      const paneBounds = this.getSplitBounds();
+      this.getVisibleTabs().forEach((tab, index) => tab.view.setBounds(paneBounds[index]));
+      return;
+    }
+
+    const view = this.getActiveView();
+    if (view) {
+      view.setBounds(this.bounds);
+    }
+  }
+
+  getSplitBounds() {
+    const { x, y, width, height } = this.bounds;
+    const { orientation, ratio } = this.splitLayout;
+
+    if (orientation === 'horizontal') {
+      const firstHeight = Math.round((height - SPLIT_DIVIDER_SIZE) * ratio);
+      return [
+        { x, y, width, height: firstHeight },
+        { x, y: y + firstHeight + SPLIT_DIVIDER_SIZE, width, height: height - firstHeight - SPLIT_DIVIDER_SIZE }
+      ];
+    }
+
+    const firstWidth = Math.round((width - SPLIT_DIVIDER_SIZE) * ratio);
+    return [
+      { x, y, width: firstWidth, height },
+      { x: x + firstWidth + SPLIT_DIVIDER_SIZE, y, width: width - firstWidth - SPLIT_DIVIDER_SIZE, height }
+    ];
+  }
+
+  serialize() {
+    return {
+      activeTabId: this.activeTabId,
+      activeProfileId: this.activeProfileId,
+      tabs: this.getProfileTabs().map(tab => ({
+        id: tab.id,
+        title: tab.title,
+        url: tab.url,
+        isLoading: tab.isLoading,
+        hibernated: tab.hibernated
+      })),
+      navigation: this.getNavigationState(),
+      split: {
+        enabled: this.isSplit(),
+        orientation: this.splitLayout.orientation,
+        ratio: this.splitLayout.ratio,
+        mirrorQueries: this.splitLayout.mirrorQueries,
+        paneTabIds: this.splitTabIds || []
+      }
+    };
+  }
+
+  /**
+   * Call back whenever tabs, their state or the layout change
+   * @param {Function} callback
+   */
+  onChange(callback) {
+    this.changeListeners.push(callback);
+  }
+
+  notifyChange() {
+    if (this.isWindowAlive()) {
+      this.mainWindow.webContents.send('tabs-updated', this.serialize());
+    }
+    this.changeListeners.forEach(callback => callback());
+  }
+
+  isWindowAlive() {
+    return this.mainWindow && !this.mainWindow.isDestroyed();
+  }
+}
+
+module.exports = TabManager;
@@ -0,0 +1,126 @@
+// view-lifecycle-manager.js
+const { app } = require('electron');
+const Store = require('electron-store');
+
+const CHECK_INTERVAL = 60000;
+// Recently used tabs are kept even when over budget so switching back is instant
+const MIN_IDLE_TIME = 120000;
+const DEFAULT_MEMORY_BUDGET_MB = 1024;
+
+class ViewLifecycleManager {
+  /**
+   * @param {TabManager} tabManager - Owner of the tabs whose views are hibernated
+   */
+  constructor(tabManager) {
+    this.tabManager = tabManager;
+    this.store = new Store();
+    this.checkInterval = null;
+    this.isEnforcing = false;
+  }
+
+  start() {
+    this.stop();
+    this.checkInterval = setInterval(() => this.enforceBudget(), CHECK_INTERVAL);
+  }
+
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+  }
+
+  /**
+   * Memory all tab views may use together, 0 disables hibernation
+   * @returns {number}
+   */
+  getMemoryBudgetMb() {
+    return this.store.get('memoryBudgetMb', DEFAULT_MEMORY_BUDGET_MB);
+  }
+
+  setMemoryBudgetMb(budgetMb) {
+    const value = Math.max(0, parseInt(budgetMb, 10) || 0);
+    this.store.set('memoryBudgetMb', value);
+    this.enforceBudget();
+  }
+
+  /**
+   * Memory used by each live tab, read from the renderer process metrics.
+   * Tabs sharing a renderer process split its memory evenly.
+   * @returns {{total: number, perTab: Map<number, number>}} Sizes in KB
+   */
+  getTabMemoryUsage() {
+    const processMemory = new Map();
+    app.getAppMetrics().forEach(metric => {
+      processMemory.set(metric.pid, metric.memory.workingSetSize);
+    });
+
+    const tabsByPid = new Map();
+    this.tabManager.tabs
+      .filter(tab => tab.view && !tab.view.webContents.isDestroyed())
+      .forEach(tab => {
+        const pid = tab.view.webContents.getOSProcessId();
+        if (!tabsByPid.has(pid)) {
+          tabsByPid.set(pid, []);
+        }
+        tabsByPid.get(pid).push(tab);
+      });
+
+    let total = 0;
+    const perTab = new Map();
+    tabsByPid.forEach((tabs, pid) => {
+      const memory = processMemory.get(pid) || 0;
+      total += memory;
+      tabs.forEach(tab => perTab.set(tab.id, memory / tabs.length));
+    });
+
+    return { total, perTab };
+  }
+
+  /**
+   * Hibernate the least recently used background tabs until the tab views
+   * fit in the memory budget again
+   */
+  async enforceBudget() {
+    const budgetMb = this.getMemoryBudgetMb();
+    if (!budgetMb || this.isEnforcing) return;
+
+    this.isEnforcing = true;
+    try {
+      const budgetKb = budgetMb * 1024;
+      const { total, perTab } = this.getTabMemoryUsage();
+      if (total <= budgetKb) return;
+
+      const now = Date.now();
+      const candidates = this.tabManager.tabs
+        .filter(tab => tab.view && !tab.isLoading && !this.tabManager.isTabVisible(tab))
+        .filter(tab => now - tab.lastAccessTime >= MIN_IDLE_TIME)
+        .filter(tab => !tab.view.webContents.isCurrentlyAudible())
+        .sort((a, b) => a.lastAccessTime - b.lastAccessTime);
+
+      let remaining = total;
+      for (const tab of candidates) {
+        if (remaining <= budgetKb) break;
+
+        if (await this.tabManager.hibernateTab(tab.id)) {
+          remaining -= perTab.get(tab.id) || 0;
+        }
+      }
+
+      console.log(`Tab views use ${Math.round(total / 1024)} MB of a ${budgetMb} MB budget, ` +
+        `about ${Math.round(remaining / 1024)} MB after hibernating`);
+
+      if (global.gc) {
+        global.gc();
+      }
+    } catch (error) {
+      console.error('Error enforcing the view memory budget:', error);
+    } finally {
+      this.isEnforcing = false;
+    }
+  }
+}
+
+ViewLifecycleManager.DEFAULT_MEMORY_BUDGET_MB = DEFAULT_MEMORY_BUDGET_MB;
+
+module.exports = ViewLifecycleManager;
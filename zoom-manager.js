@@ -0,0 +1,98 @@
+// zoom-manager.js
+const Store = require('electron-store');
+
+const ZOOM_STEPS = [0.5, 0.67, 0.75, 0.8, 0.9, 1, 1.1, 1.25, 1.5, 1.75, 2, 2.5, 3];
+const DEFAULT_ZOOM = 1;
+
+class ZoomManager {
+  constructor() {
+    this.store = new Store();
+    // Zoom factors the user picked, keyed by host
+    this.hostZoom = this.store.get('hostZoom', {});
+  }
+
+  getDefaultZoom() {
+    return this.store.get('defaultZoom', DEFAULT_ZOOM);
+  }
+
+  setDefaultZoom(factor) {
+    const value = Number(factor);
+    if (ZOOM_STEPS.includes(value)) {
+      this.store.set('defaultZoom', value);
+    }
+  }
+
+  getHost(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, '');
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Zoom factor for a page, its host's saved factor or the default
+   * @param {string} url
+   * @returns {number}
+   */
+  getZoomForUrl(url) {
+    const host = this.getHost(url);
+    return host && this.hostZoom[host] ? this.hostZoom[host] : this.getDefaultZoom();
+  }
+
+  /**
+   * Apply the saved zoom for whatever page the webContents shows
+   * @param {WebContents} webContents
+   */
+  applyZoom(webContents) {
+    if (!webContents || webContents.isDestroyed()) return;
+    webContents.setZoomFactor(this.getZoomForUrl(webContents.getURL()));
+  }
+
+  zoomIn(webContents) {
+    this.stepZoom(webContents, 1);
+  }
+
+  zoomOut(webContents) {
+    this.stepZoom(webContents, -1);
+  }
+
+  /**
+   * Go back to the default zoom and forget the host's own factor
+   * @param {WebContents} webContents
+   */
+  resetZoom(webContents) {
+    if (!webContents || webContents.isDestroyed()) return;
+
+    const host = this.getHost(webContents.getURL());
+    if (host) {
+      delete this.hostZoom[host];
+      this.store.set('hostZoom', this.hostZoom);
+    }
+    webContents.setZoomFactor(this.getDefaultZoom());
+  }
+
+  stepZoom(webContents, direction) {
+    if (!webContents || webContents.isDestroyed()) return;
+
+    const current = webContents.getZoomFactor();
+    const next = direction > 0
+      ? ZOOM_STEPS.find(step => step > current + 0.001)
+      : [...ZOOM_STEPS].reverse().find(step => step < current - 0.001);
+    if (!next) return;
+
+    webContents.setZoomFactor(next);
+
+    const host = this.getHost(webContents.getURL());
+    if (host) {
+      if (next === this.getDefaultZoom()) {
+        delete this.hostZoom[host];
+      } else {
+        this.hostZoom[host] = next;
+      }
+      this.store.set('hostZoom', this.hostZoom);
+    }
+  }
+}
+
+module.exports = ZoomManager;